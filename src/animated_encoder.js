@@ -0,0 +1,115 @@
+const { exec } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Output formats for animated stickers
+const FORMATS = {
+    gif: { ext: 'gif', contentType: 'image/gif' },
+    webp: { ext: 'webp', contentType: 'image/webp' },
+    mp4: { ext: 'mp4', contentType: 'video/mp4' }
+};
+
+const DEFAULT_FORMAT = FORMATS[process.env.ANIMATED_FORMAT] ? process.env.ANIMATED_FORMAT : 'gif';
+
+// Upload budget per animated sticker and the longest clip we keep
+const MAX_BYTES = parseInt(process.env.ANIMATED_MAX_BYTES || String(5 * 1024 * 1024));
+const MAX_SECONDS = parseFloat(process.env.ANIMATED_MAX_SECONDS || '10');
+
+// Tried in order until the output fits MAX_BYTES: keep every Nth frame, encoder quality, width factor
+const BUDGET_STEPS = [
+    { frameStep: 1, quality: 90, scale: 1 },
+    { frameStep: 2, quality: 90, scale: 1 },
+    { frameStep: 2, quality: 70, scale: 1 },
+    { frameStep: 3, quality: 60, scale: 0.75 },
+    { frameStep: 4, quality: 50, scale: 0.5 }
+];
+
+function resolveFormat(format) {
+    return FORMATS[format] ? format : DEFAULT_FORMAT;
+}
+
+function buildCommand(framesDir, fps, width, quality, format, outputPath) {
+    const frames = `"${framesDir}/frame_%04d.png"`;
+
+    if (format === 'webp') {
+        // Animated WebP keeps the alpha channel
+        return `ffmpeg -y -framerate ${fps} -i ${frames} -vf "scale=${width}:-1:flags=lanczos" -c:v libwebp_anim -lossless 0 -q:v ${quality} -pix_fmt yuva420p -loop 0 "${outputPath}"`;
+    }
+
+    if (format === 'mp4') {
+        // H.264 has no alpha: flatten onto white, pad to even dimensions for yuv420p
+        // Map gifski-style quality (0-100) onto x264 CRF: 90 -> 23, 50 -> 33
+        const crf = Math.round(23 + (90 - quality) / 4);
+        const filter = `[0:v]scale=${width}:-1:flags=lanczos[s];color=white,format=rgb24[c];[c][s]scale2ref[c][s];[c][s]overlay=format=auto:shortest=1,pad=ceil(iw/2)*2:ceil(ih/2)*2:color=white,setsar=1,format=yuv420p`;
+        return `ffmpeg -y -framerate ${fps} -i ${frames} -filter_complex "${filter}" -c:v libx264 -preset veryfast -crf ${crf} -movflags +faststart -an "${outputPath}"`;
+    }
+
+    return `gifski --fps ${fps} --width ${width} --quality ${quality} -o "${outputPath}" ${framesDir}/frame_*.png`;
+}
+
+// Encode the PNG frames in framesDir (frame_0000.png, ...) into outputPath
+function encodeFrames(framesDir, fps, width, format, outputPath, quality = 90) {
+    return new Promise((resolve, reject) => {
+        exec(buildCommand(framesDir, fps, width, quality, format, outputPath), (error, stdout, stderr) => {
+            if (error) {
+                console.error(`${format} encode error:`, stderr || error.message);
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+// Hard-link every frameStep-th frame (up to maxFrames) into targetDir, renumbered from 0
+async function selectFrames(frames, framesDir, targetDir, frameStep, maxFrames) {
+    await fs.mkdir(targetDir, { recursive: true });
+    let count = 0;
+    for (let i = 0; i < frames.length && i < maxFrames; i += frameStep) {
+        const target = path.join(targetDir, `frame_${String(count).padStart(4, '0')}.png`);
+        await fs.link(path.join(framesDir, frames[i]), target);
+        count++;
+    }
+    return count;
+}
+
+// Encode frames rendered at sourceFps, stepping down fps, quality and width until the file fits MAX_BYTES.
+// Clips longer than MAX_SECONDS are trimmed. The last step is kept even if it is still over budget.
+// Attempts are encoded inside the frames dir; only the chosen one is copied to outputPath.
+async function encodeWithinBudget(framesDir, sourceFps, width, format, outputPath, label) {
+    const frames = (await fs.readdir(framesDir)).filter(f => /^frame_\d+\.png$/.test(f)).sort();
+    const maxFrames = Math.ceil(MAX_SECONDS * sourceFps);
+    if (frames.length > maxFrames) {
+        console.log(`[ENCODE] ${label}: trimming ${(frames.length / sourceFps).toFixed(1)}s clip to ${MAX_SECONDS}s`);
+    }
+
+    const attemptDir = path.join(framesDir, 'budget');
+    try {
+        for (let i = 0; i < BUDGET_STEPS.length; i++) {
+            const { frameStep, quality, scale } = BUDGET_STEPS[i];
+            const fps = Math.round((sourceFps / frameStep) * 100) / 100;
+            const stepWidth = Math.round(width * scale);
+
+            await fs.rm(attemptDir, { recursive: true, force: true });
+            const frameCount = await selectFrames(frames, framesDir, attemptDir, frameStep, maxFrames);
+            const attemptPath = path.join(attemptDir, `attempt.${FORMATS[format].ext}`);
+            await encodeFrames(attemptDir, fps, stepWidth, format, attemptPath, quality);
+
+            const { size } = await fs.stat(attemptPath);
+            const fits = size <= MAX_BYTES;
+            const isLast = i === BUDGET_STEPS.length - 1;
+            if (fits || isLast) {
+                const log = fits ? console.log : console.warn;
+                log(`[ENCODE] ${label}: ${format} fps=${fps} quality=${quality} width=${stepWidth} frames=${frameCount} size=${(size / 1024).toFixed(0)}KB budget=${(MAX_BYTES / 1024).toFixed(0)}KB${fits ? '' : ' (over budget)'}`);
+                // Copied, not renamed: frames live in temp/, which may be another volume than the output
+                await fs.copyFile(attemptPath, outputPath);
+                return { fps, quality, width: stepWidth, frameCount, size };
+            }
+            console.log(`[ENCODE] ${label}: ${(size / 1024).toFixed(0)}KB at fps=${fps} quality=${quality} width=${stepWidth} is over budget, stepping down`);
+        }
+    } finally {
+        await fs.rm(attemptDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = { FORMATS, DEFAULT_FORMAT, MAX_SECONDS, resolveFormat, encodeFrames, encodeWithinBudget };
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+// How often files past the retention period are removed
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Append-only record of sticker sends and pack changes, one JSON line per event in
+// data/audit/audit-YYYY-MM-DD.jsonl (UTC days). Lines are never rewritten; retention
+// removes whole days older than AUDIT_RETENTION_DAYS (0 keeps everything).
+class AuditLog {
+    constructor(dir = path.join(__dirname, '..', 'data', 'audit')) {
+        this.dir = dir;
+        this.retentionDays = Math.max(0, parseInt(process.env.AUDIT_RETENTION_DAYS || '90'));
+        this.writing = Promise.resolve(); // appends run one after another, in call order
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        this.prune();
+        this.pruner = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        this.pruner.unref();
+    }
+
+    fileFor(day) {
+        return path.join(this.dir, `audit-${day}.jsonl`);
+    }
+
+    // Append an event; failures are logged, never thrown, so auditing can't break a send
+    record(type, fields) {
+        const entry = { time: new Date().toISOString(), type, ...fields };
+        const line = JSON.stringify(entry) + '\n';
+        this.writing = this.writing
+            .then(() => fs.promises.appendFile(this.fileFor(entry.time.slice(0, 10)), line))
+            .catch(error => console.error('[AUDIT] Failed to write entry:', error.message, line.trim()));
+        return this.writing;
+    }
+
+    // Days that have a log file, oldest first
+    listDays() {
+        return fs.readdirSync(this.dir)
+            .map(name => name.match(FILE_PATTERN)?.[1])
+            .filter(day => day)
+            .sort();
+    }
+
+    // Entries matching every given filter, newest first.
+    // filters: { userId, channelId, type, from, to (Date), limit }
+    async query(filters = {}) {
+        await this.writing;
+        const { userId, channelId, type, from, to } = filters;
+        const limit = filters.limit || 100;
+        const fromDay = from ? from.toISOString().slice(0, 10) : null;
+        const toDay = to ? to.toISOString().slice(0, 10) : null;
+
+        const days = this.listDays()
+            .filter(day => (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+            .reverse();
+
+        const results = [];
+        for (const day of days) {
+            const lines = (await fs.promises.readFile(this.fileFor(day), 'utf8')).split('\n');
+            for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+                if (!lines[i]) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(lines[i]);
+                } catch (error) {
+                    continue; // a line cut short by a crash
+                }
+                const time = new Date(entry.time);
+                if (userId && entry.userId !== userId) continue;
+                if (channelId && entry.channelId !== channelId) continue;
+                if (type && entry.type !== type) continue;
+                if ((from && time < from) || (to && time > to)) continue;
+                results.push(entry);
+            }
+            if (results.length >= limit) break;
+        }
+        return results;
+    }
+
+    // Delete the files of days that are entirely older than the retention period
+    prune() {
+        if (this.retentionDays === 0) return;
+        const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString().slice(0, 10);
+        for (const day of this.listDays()) {
+            if (day >= cutoff) break;
+            try {
+                fs.unlinkSync(this.fileFor(day));
+                console.log(`[AUDIT] Removed audit log of ${day} (retention ${this.retentionDays} days)`);
+            } catch (error) {
+                console.error(`[AUDIT] Failed to remove audit log of ${day}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,43 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Partial files older than this are left over from a crash or restart
+const STALE_PARTIAL_MS = 60 * 60 * 1000;
+
+// Conversions write into gif-cache/partial/ and rename the finished file into gif-cache, so a file
+// in the cache is always complete. The partial dir sits inside gif-cache so the rename never crosses
+// Docker volumes (see docker/README.md), and the cache manager only indexes files, not this dir.
+function partialDir(cacheDir) {
+    return path.join(cacheDir, 'partial');
+}
+
+// Unique in-progress path for a cache file; keeps the extension, which ffmpeg uses to pick the format
+function partialPathFor(cachedFile) {
+    const name = `${crypto.randomBytes(6).toString('hex')}_${path.basename(cachedFile)}`;
+    return path.join(partialDir(path.dirname(cachedFile)), name);
+}
+
+// Move a finished conversion into the cache
+async function commitPartial(partialPath, cachedFile) {
+    await fs.rename(partialPath, cachedFile);
+}
+
+// Create the partial dir and remove stale leftovers
+async function preparePartialDir(cacheDir) {
+    const dir = partialDir(cacheDir);
+    await fs.mkdir(dir, { recursive: true });
+    for (const file of await fs.readdir(dir)) {
+        const filePath = path.join(dir, file);
+        try {
+            const stat = await fs.stat(filePath);
+            if (Date.now() - stat.mtimeMs > STALE_PARTIAL_MS) {
+                await fs.rm(filePath, { recursive: true, force: true });
+            }
+        } catch (err) {
+            // Finished and renamed in the meantime
+        }
+    }
+}
+
+module.exports = { partialPathFor, commitPartial, preparePartialDir };
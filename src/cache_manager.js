@@ -1,62 +1,137 @@
-const { execSync } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 
 class CacheManager {
     constructor() {
         this.cacheDir = path.join(__dirname, '..', 'gif-cache');
-        this.maxSizeMB = 100;
+        this.maxSizeMB = parseFloat(process.env.CACHE_MAX_MB || '100');
+        // Eviction stops once the cache is back under this size
+        this.lowWaterMB = parseFloat(process.env.CACHE_LOW_WATER_MB || String(this.maxSizeMB * 0.8));
         this.checkInterval = 300000; // Check every 5 minutes
         this.intervalId = null;
+        this.index = new Map(); // filename -> { size, lastAccess }
+        this.totalBytes = 0;
+        this.evicting = false;
     }
 
-    async getCacheSizeMB() {
+    // Build the index from what is already on disk (atime survives restarts via utimes in touch())
+    async scan() {
+        this.index.clear();
+        this.totalBytes = 0;
         try {
-            // Get directory size in bytes using du command
-            const sizeOutput = execSync(`du -sb "${this.cacheDir}" 2>/dev/null || echo "0"`, { encoding: 'utf8' });
-            const sizeInBytes = parseInt(sizeOutput.split('\t')[0] || '0');
-            return sizeInBytes / (1024 * 1024);
+            await fs.mkdir(this.cacheDir, { recursive: true });
+            const files = await fs.readdir(this.cacheDir);
+            for (const file of files) {
+                try {
+                    const stat = await fs.stat(path.join(this.cacheDir, file));
+                    if (stat.isFile()) {
+                        this.setEntry(file, stat.size, Math.max(stat.atimeMs, stat.mtimeMs));
+                    }
+                } catch (err) {
+                    // File vanished between readdir and stat
+                }
+            }
+        } catch (err) {
+            console.error('Error scanning cache:', err.message);
+        }
+    }
+
+    setEntry(file, size, lastAccess) {
+        const existing = this.index.get(file);
+        if (existing) this.totalBytes -= existing.size;
+        this.index.set(file, { size, lastAccess });
+        this.totalBytes += size;
+    }
+
+    removeEntry(file) {
+        const existing = this.index.get(file);
+        if (existing) {
+            this.totalBytes -= existing.size;
+            this.index.delete(file);
+        }
+    }
+
+    // Called by handlers when a new file has been written to the cache
+    async recordFile(filePath) {
+        try {
+            const stat = await fs.stat(filePath);
+            this.setEntry(path.basename(filePath), stat.size, Date.now());
         } catch (err) {
-            console.error('Error getting cache size:', err.message);
-            return 0;
+            console.error('Failed to record cache file:', err.message);
+            return;
+        }
+
+        if (this.getCacheSizeMB() > this.maxSizeMB) {
+            this.cleanCache();
         }
     }
 
+    // Called by handlers on a cache hit
+    touch(filePath) {
+        const file = path.basename(filePath);
+        const entry = this.index.get(file);
+        const now = Date.now();
+        if (entry) {
+            entry.lastAccess = now;
+        } else {
+            this.recordFile(filePath);
+        }
+        // Persist the access time so LRU order survives restarts
+        const time = new Date(now);
+        fs.utimes(filePath, time, time).catch(() => {});
+    }
+
+    getCacheSizeMB() {
+        return this.totalBytes / (1024 * 1024);
+    }
+
+    // Evict least recently used files until the cache is under the low-water mark
     async cleanCache() {
+        if (this.evicting) return;
+        this.evicting = true;
+
         try {
-            console.log('Cache exceeds 100MB, clearing all cached files...');
+            const lowWaterBytes = this.lowWaterMB * 1024 * 1024;
+            console.log(`Cache exceeds ${this.maxSizeMB}MB, evicting least recently used files down to ${this.lowWaterMB}MB...`);
+
+            const entries = [...this.index.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+            let evicted = 0;
+            for (const [file] of entries) {
+                if (this.totalBytes <= lowWaterBytes) break;
 
-            // Remove all files in cache directory
-            const files = await fs.readdir(this.cacheDir);
-            for (const file of files) {
                 const filePath = path.join(this.cacheDir, file);
                 try {
-                    const stat = await fs.stat(filePath);
-                    if (stat.isFile()) {
-                        await fs.unlink(filePath);
-                    }
+                    await fs.unlink(filePath);
+                    evicted++;
                 } catch (err) {
-                    console.error(`Failed to delete ${filePath}:`, err.message);
+                    if (err.code !== 'ENOENT') {
+                        console.error(`Failed to delete ${filePath}:`, err.message);
+                        continue;
+                    }
                 }
+                this.removeEntry(file);
             }
 
-            console.log('Cache cleared successfully');
+            console.log(`Evicted ${evicted} files, cache now ${this.getCacheSizeMB().toFixed(2)} MB`);
         } catch (err) {
             console.error('Error cleaning cache:', err.message);
+        } finally {
+            this.evicting = false;
         }
     }
 
     async checkAndClean() {
-        const sizeMB = await this.getCacheSizeMB();
-        console.log(`Cache size: ${sizeMB.toFixed(2)} MB`);
+        const sizeMB = this.getCacheSizeMB();
+        console.log(`Cache size: ${sizeMB.toFixed(2)} MB (${this.index.size} files)`);
 
         if (sizeMB > this.maxSizeMB) {
             await this.cleanCache();
         }
     }
 
-    start() {
-        // Initial check
+    async start() {
+        // Initial scan and check
+        await this.scan();
         this.checkAndClean();
 
         // Set up periodic checks
@@ -64,7 +139,7 @@ class CacheManager {
             this.checkAndClean();
         }, this.checkInterval);
 
-        console.log(`Cache manager started (checking every ${this.checkInterval/60000} minutes, max ${this.maxSizeMB} MB)`);
+        console.log(`Cache manager started (checking every ${this.checkInterval/60000} minutes, max ${this.maxSizeMB} MB, low-water ${this.lowWaterMB} MB)`);
     }
 
     stop() {
@@ -76,4 +151,4 @@ class CacheManager {
     }
 }
 
-module.exports = CacheManager;
\ No newline at end of file
+module.exports = CacheManager;
@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+// Team of a channel, for pack scopes. Taken from the channel itself rather than from the request:
+// slash commands carry the user's current team even in direct and group messages, which belong to no team.
+class ChannelTeams {
+    constructor(serverUrl, botToken) {
+        this.serverUrl = serverUrl;
+        this.botToken = botToken;
+        this.teams = new Map(); // channelId -> teamId or null; a channel never moves to another team
+    }
+
+    // Resolves with the channel's team ID, or null for direct and group messages.
+    // A failed lookup also gives null, so only channel rules apply there.
+    async teamOf(channelId) {
+        if (!channelId) return null;
+        if (this.teams.has(channelId)) {
+            return this.teams.get(channelId);
+        }
+
+        try {
+            const channel = await axios.get(`${this.serverUrl}/api/v4/channels/${channelId}`, {
+                headers: { 'Authorization': `Bearer ${this.botToken}` }
+            });
+            const teamId = channel.data.team_id || null;
+            this.teams.set(channelId, teamId);
+            return teamId;
+        } catch (error) {
+            // Not cached, the bot may be added to the channel later
+            console.error(`[SCOPE] Channel lookup failed for ${channelId}, applying channel rules only:`, error.response?.data || error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = ChannelTeams;
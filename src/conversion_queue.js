@@ -0,0 +1,77 @@
+// Shared queue for ffmpeg/gifski/lottie work: caps concurrency and de-duplicates in-flight jobs.
+// Low-priority jobs (pack pre-warming) only start when no normal job is waiting and never
+// take the last free slot, so user sends are not stuck behind a background job.
+class ConversionQueue {
+    constructor(concurrency) {
+        this.concurrency = concurrency || parseInt(process.env.CONVERSION_CONCURRENCY || '2');
+        this.running = 0;
+        this.runningLow = 0;
+        this.pending = []; // [{ key, task, resolve, reject, queuedAt, priority }]
+        this.pendingLow = [];
+        this.inFlight = new Map(); // key -> promise
+    }
+
+    // Run task() unless a job with the same key is already queued or running, in which case wait on that one
+    run(key, task, priority = 'normal') {
+        if (this.inFlight.has(key)) {
+            // A user waiting on a queued background job bumps it to normal priority
+            const lowIndex = this.pendingLow.findIndex(job => job.key === key);
+            if (priority !== 'low' && lowIndex !== -1) {
+                const [job] = this.pendingLow.splice(lowIndex, 1);
+                job.priority = 'normal';
+                this.pending.push(job);
+                this.next();
+            }
+            console.log(`[QUEUE] Joining in-flight job ${key}`);
+            return this.inFlight.get(key);
+        }
+
+        const list = priority === 'low' ? this.pendingLow : this.pending;
+        const promise = new Promise((resolve, reject) => {
+            list.push({ key, task, resolve, reject, queuedAt: Date.now(), priority });
+        }).finally(() => {
+            this.inFlight.delete(key);
+        });
+        this.inFlight.set(key, promise);
+
+        console.log(`[QUEUE] Queued ${key}${priority === 'low' ? ' (low priority)' : ''} (running: ${this.running}, waiting: ${this.pending.length + this.pendingLow.length})`);
+        this.next();
+        return promise;
+    }
+
+    takeNext() {
+        if (this.pending.length > 0) {
+            return this.pending.shift();
+        }
+        const lowLimit = Math.max(1, this.concurrency - 1);
+        if (this.pendingLow.length > 0 && this.runningLow < lowLimit) {
+            return this.pendingLow.shift();
+        }
+        return null;
+    }
+
+    next() {
+        while (this.running < this.concurrency) {
+            const job = this.takeNext();
+            if (!job) return;
+
+            const isLow = job.priority === 'low';
+            this.running++;
+            if (isLow) this.runningLow++;
+
+            const waitMs = Date.now() - job.queuedAt;
+            console.log(`[QUEUE] Starting ${job.key} after ${waitMs}ms wait (running: ${this.running}, waiting: ${this.pending.length + this.pendingLow.length})`);
+
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.running--;
+                    if (isLow) this.runningLow--;
+                    this.next();
+                });
+        }
+    }
+}
+
+module.exports = ConversionQueue;
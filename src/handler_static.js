@@ -3,11 +3,15 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
+const { SIZE_PRESETS, resolveSize } = require('./sticker_sizes');
+const { partialPathFor, commitPartial, preparePartialDir } = require('./cache_files');
 
 class StaticHandler {
-    constructor() {
+    constructor(cacheManager = null, conversionQueue = null) {
         this.cacheDir = path.join(__dirname, '..', 'gif-cache');
         this.tempDir = path.join(__dirname, '..', 'temp');
+        this.cacheManager = cacheManager;
+        this.conversionQueue = conversionQueue;
         this.initDirs();
     }
 
@@ -15,6 +19,7 @@ class StaticHandler {
         try {
             await fs.mkdir(this.cacheDir, { recursive: true });
             await fs.mkdir(this.tempDir, { recursive: true });
+            await preparePartialDir(this.cacheDir);
         } catch (err) {
             console.error('Failed to create directories:', err);
         }
@@ -40,26 +45,47 @@ class StaticHandler {
         });
     }
 
-    async resizeStaticImage(imageUrl, fileId = null) {
+    // Where the resized file for these options lives in the cache (each size preset separately)
+    getCachePath(imageUrl, fileId = null, options = {}) {
+        const size = resolveSize(options.size);
         const hash = this.generateHash(fileId || imageUrl);
-        const cachedImage = path.join(this.cacheDir, `${hash}.webp`);
+        return path.join(this.cacheDir, `${hash}_${size}.webp`);
+    }
+
+    // options.size: small, medium or large (default STICKER_SIZE)
+    // options.priority: 'low' for background pre-warming
+    async resizeStaticImage(imageUrl, fileId = null, options = {}) {
+        const size = resolveSize(options.size);
+        const hash = this.generateHash(fileId || imageUrl);
+        const cachedImage = this.getCachePath(imageUrl, fileId, options);
 
         // Check cache first
         try {
             await fs.access(cachedImage);
-            console.log(`Using cached static image for ${hash}`);
+            console.log(`Using cached static image for ${hash} (${size})`);
+            if (this.cacheManager) this.cacheManager.touch(cachedImage);
             return cachedImage;
         } catch (err) {
             // Not in cache, need to resize
         }
 
+        // Concurrent sends of the same sticker share one resize
+        if (this.conversionQueue) {
+            return this.conversionQueue.run(path.basename(cachedImage), () => this.runResize(imageUrl, hash, size, cachedImage), options.priority);
+        }
+        return this.runResize(imageUrl, hash, size, cachedImage);
+    }
+
+    async runResize(imageUrl, hash, size, cachedImage) {
         // Determine file extension from URL
         const urlLower = imageUrl.toLowerCase();
         let ext = 'webp';
         if (urlLower.includes('.png')) ext = 'png';
         else if (urlLower.includes('.jpg') || urlLower.includes('.jpeg')) ext = 'jpg';
 
-        const tempImage = path.join(this.tempDir, `${hash}_orig.${ext}`);
+        const tempImage = path.join(this.tempDir, `${hash}_${size}_orig.${ext}`);
+        const partialImage = partialPathFor(cachedImage);
+        const width = SIZE_PRESETS[size];
 
         try {
             console.log(`Downloading static image from ${imageUrl}`);
@@ -67,8 +93,8 @@ class StaticHandler {
 
             console.log(`Resizing static image: ${hash}`);
             await new Promise((resolve, reject) => {
-                // ffmpeg command to resize to 256px width, maintaining aspect ratio, output as webp
-                const command = `ffmpeg -i "${tempImage}" -vf "scale=256:-1" -y "${cachedImage}"`;
+                // ffmpeg command to resize to the preset width, maintaining aspect ratio, output as webp
+                const command = `ffmpeg -i "${tempImage}" -vf "scale=${width}:-1" -y "${partialImage}"`;
 
                 exec(command, (error, stdout, stderr) => {
                     if (error) {
@@ -83,13 +109,16 @@ class StaticHandler {
             // Clean up temp file
             await fs.unlink(tempImage).catch(() => {});
 
+            // Only a complete file is ever visible in the cache
+            await commitPartial(partialImage, cachedImage);
+            if (this.cacheManager) this.cacheManager.recordFile(cachedImage);
             console.log(`Resized successfully: ${hash}`);
             return cachedImage;
         } catch (error) {
             console.error('Resize failed:', error);
             // Clean up on failure
             await fs.unlink(tempImage).catch(() => {});
-            await fs.unlink(cachedImage).catch(() => {});
+            await fs.unlink(partialImage).catch(() => {});
             throw error;
         }
     }
@@ -2,15 +2,18 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
-const pako = require('pako');
-const { exec } = require('child_process');
-const { createCanvas } = require('@napi-rs/canvas');
-const { JSDOM } = require('jsdom');
+const TgsWorkerPool = require('./tgs_worker_pool');
+const { FORMATS, resolveFormat, encodeWithinBudget } = require('./animated_encoder');
+const { SIZE_PRESETS, resolveSize } = require('./sticker_sizes');
+const { partialPathFor, commitPartial, preparePartialDir } = require('./cache_files');
 
 class TgsHandler {
-    constructor() {
+    constructor(cacheManager = null, conversionQueue = null) {
         this.cacheDir = path.join(__dirname, '..', 'gif-cache');
         this.tempDir = path.join(__dirname, '..', 'temp');
+        this.cacheManager = cacheManager;
+        this.conversionQueue = conversionQueue;
+        this.workerPool = new TgsWorkerPool();
         this.initDirs();
     }
 
@@ -18,6 +21,7 @@ class TgsHandler {
         try {
             await fs.mkdir(this.cacheDir, { recursive: true });
             await fs.mkdir(this.tempDir, { recursive: true });
+            await preparePartialDir(this.cacheDir);
         } catch (err) {
             console.error('Failed to create directories:', err);
         }
@@ -27,20 +31,44 @@ class TgsHandler {
         return crypto.createHash('md5').update(input).digest('hex');
     }
 
-    async convertTgsToGif(tgsUrl, fileId = null) {
+    // Where the converted file for these options lives in the cache (each format and size preset separately)
+    getCachePath(tgsUrl, fileId = null, options = {}) {
+        const format = resolveFormat(options.format);
+        const size = resolveSize(options.size);
         const hash = this.generateHash(fileId || tgsUrl);
-        const cachedGif = path.join(this.cacheDir, `${hash}.gif`);
+        return path.join(this.cacheDir, `${hash}_${size}.${FORMATS[format].ext}`);
+    }
+
+    // options.format: gif, webp or mp4 (default ANIMATED_FORMAT)
+    // options.size: small, medium or large (default STICKER_SIZE)
+    // options.priority: 'low' for background pre-warming
+    async convertTgsToGif(tgsUrl, fileId = null, options = {}) {
+        const format = resolveFormat(options.format);
+        const size = resolveSize(options.size);
+        const hash = this.generateHash(fileId || tgsUrl);
+        const cachedFile = this.getCachePath(tgsUrl, fileId, options);
 
         // Check cache first
         try {
-            await fs.access(cachedGif);
-            console.log(`Using cached TGS GIF for ${hash}`);
-            return cachedGif;
+            await fs.access(cachedFile);
+            console.log(`Using cached TGS ${format} for ${hash} (${size})`);
+            if (this.cacheManager) this.cacheManager.touch(cachedFile);
+            return cachedFile;
         } catch (err) {
             // Not in cache, need to convert
         }
 
-        const framesDir = path.join(this.tempDir, `tgs_${hash}`);
+        // Concurrent sends of the same sticker share one conversion
+        if (this.conversionQueue) {
+            return this.conversionQueue.run(path.basename(cachedFile), () => this.runConversion(tgsUrl, hash, format, size, cachedFile), options.priority);
+        }
+        return this.runConversion(tgsUrl, hash, format, size, cachedFile);
+    }
+
+    async runConversion(tgsUrl, hash, format, size, cachedFile) {
+        // Per-variant frames dir so different formats/sizes of the same sticker can convert side by side
+        const framesDir = path.join(this.tempDir, `tgs_${hash}_${size}_${format}`);
+        const partialFile = partialPathFor(cachedFile);
 
         try {
             console.log(`Converting TGS locally: ${hash}`);
@@ -52,86 +80,18 @@ class TgsHandler {
                 responseType: 'arraybuffer'
             });
 
-            // Decompress TGS (gzipped Lottie JSON)
-            const json = pako.ungzip(new Uint8Array(response.data), { to: 'string' });
-            const animData = JSON.parse(json);
-            const SIZE = 256;
-
-            // Setup minimal DOM for lottie-web
-            const dom = new JSDOM('<!DOCTYPE html><html><body><div id="lottie"></div></body></html>');
-            const g = global;
-            g.window = dom.window;
-            g.document = dom.window.document;
-            g.navigator = dom.window.navigator;
-            g.requestAnimationFrame = (cb) => setTimeout(cb, 0);
-            g.cancelAnimationFrame = (id) => clearTimeout(id);
-
-            // Patch createElement to return @napi-rs/canvas for <canvas> tags
-            let mainCanvas = null;
-            const origCreateElement = dom.window.document.createElement.bind(dom.window.document);
-            dom.window.document.createElement = function(tag) {
-                if (tag === 'canvas') {
-                    const c = createCanvas(SIZE, SIZE);
-                    c.style = {};
-                    c.setAttribute = function(k, v) {
-                        if (k === 'width') c.width = parseInt(v);
-                        if (k === 'height') c.height = parseInt(v);
-                    };
-                    c.getAttribute = function(k) {
-                        if (k === 'width') return String(c.width);
-                        if (k === 'height') return String(c.height);
-                        return null;
-                    };
-                    if (!mainCanvas) mainCanvas = c;
-                    return c;
-                }
-                return origCreateElement(tag);
-            };
-
-            // Load lottie-web canvas renderer (fresh require to avoid cached global state issues)
-            delete require.cache[require.resolve('lottie-web/build/player/lottie_canvas.js')];
-            const lottie = require('lottie-web/build/player/lottie_canvas.js');
-
-            const container = dom.window.document.getElementById('lottie');
-            Object.defineProperty(container, 'offsetWidth', { value: SIZE, configurable: true });
-            Object.defineProperty(container, 'offsetHeight', { value: SIZE, configurable: true });
-            container.getBoundingClientRect = () => ({ width: SIZE, height: SIZE, top: 0, left: 0 });
-            container.appendChild = function(child) { mainCanvas = child; };
-            container.removeChild = function() {};
-
-            const anim = lottie.loadAnimation({
-                container,
-                renderer: 'canvas',
-                loop: false,
-                autoplay: false,
-                animationData: animData
-            });
-
+            // Render frames in a worker thread (own JSDOM/canvas, timeout and frame limit)
+            // Copy into a standalone ArrayBuffer: axios Buffers may share Node's pooled memory
+            const data = response.data;
+            const tgsData = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+            const SIZE = SIZE_PRESETS[size];
             // Render at 50fps (matches reference quality, max reliable GIF framerate)
-            const targetFps = 50;
-            const fps = targetFps;
-            const step = Math.max(1, Math.round((animData.fr || 60) / targetFps));
-            await fs.mkdir(framesDir, { recursive: true });
-
-            let frameNum = 0;
-            for (let i = 0; i < anim.totalFrames; i += step) {
-                anim.goToAndStop(i, true);
-                const buf = mainCanvas.toBuffer('image/png');
-                await fs.writeFile(path.join(framesDir, `frame_${String(frameNum).padStart(4, '0')}.png`), buf);
-                frameNum++;
-            }
-
-            anim.destroy();
+            const fps = 50;
+            const frameNum = await this.workerPool.render(tgsData, framesDir, { targetFps: fps, frameSize: SIZE });
             console.log(`Rendered ${frameNum} frames for ${hash}`);
 
-            // Stitch frames into GIF with ffmpeg
-            await new Promise((resolve, reject) => {
-                const cmd = `gifski --fps ${fps} --width 256 --quality 90 -o "${cachedGif}" ${framesDir}/frame_*.png`;
-                exec(cmd, (error) => {
-                    if (error) reject(error);
-                    else resolve();
-                });
-            });
+            // Encode frames (gifski for GIF, ffmpeg for WebP/MP4) within the size budget
+            await encodeWithinBudget(framesDir, fps, SIZE, format, partialFile, hash);
 
             // Cleanup temp frames
             const files = await fs.readdir(framesDir);
@@ -140,15 +100,11 @@ class TgsHandler {
             }
             await fs.rmdir(framesDir).catch(() => {});
 
-            // Clean up global DOM pollution
-            delete g.window;
-            delete g.document;
-            delete g.navigator;
-            delete g.requestAnimationFrame;
-            delete g.cancelAnimationFrame;
-
-            console.log(`TGS converted successfully: ${hash}`);
-            return cachedGif;
+            // Only a complete file is ever visible in the cache
+            await commitPartial(partialFile, cachedFile);
+            if (this.cacheManager) this.cacheManager.recordFile(cachedFile);
+            console.log(`TGS converted successfully: ${path.basename(cachedFile)}`);
+            return cachedFile;
 
         } catch (error) {
             console.error('TGS conversion failed:', error.message);
@@ -158,7 +114,7 @@ class TgsHandler {
                 await fs.unlink(path.join(framesDir, file)).catch(() => {});
             }
             await fs.rmdir(framesDir).catch(() => {});
-            await fs.unlink(cachedGif).catch(() => {});
+            await fs.unlink(partialFile).catch(() => {});
             return null;
         }
     }
@@ -3,11 +3,16 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
+const { FORMATS, MAX_SECONDS, resolveFormat, encodeWithinBudget } = require('./animated_encoder');
+const { SIZE_PRESETS, resolveSize } = require('./sticker_sizes');
+const { partialPathFor, commitPartial, preparePartialDir } = require('./cache_files');
 
 class WebmHandler {
-    constructor() {
+    constructor(cacheManager = null, conversionQueue = null) {
         this.cacheDir = path.join(__dirname, '..', 'gif-cache');
         this.tempDir = path.join(__dirname, '..', 'temp');
+        this.cacheManager = cacheManager;
+        this.conversionQueue = conversionQueue;
         this.initDirs();
     }
 
@@ -15,6 +20,7 @@ class WebmHandler {
         try {
             await fs.mkdir(this.cacheDir, { recursive: true });
             await fs.mkdir(this.tempDir, { recursive: true });
+            await preparePartialDir(this.cacheDir);
         } catch (err) {
             console.error('Failed to create directories:', err);
         }
@@ -47,44 +53,65 @@ class WebmHandler {
         return null;
     }
 
-    async convertWebmToGif(webmUrl, fileId = null) {
+    // Where the converted file for these options lives in the cache (each format and size preset separately)
+    getCachePath(webmUrl, fileId = null, options = {}) {
+        const format = resolveFormat(options.format);
+        const size = resolveSize(options.size);
         const hash = this.generateHash(fileId || webmUrl);
-        const cachedGif = path.join(this.cacheDir, `${hash}.gif`);
+        return path.join(this.cacheDir, `${hash}_${size}.${FORMATS[format].ext}`);
+    }
+
+    // options.format: gif, webp or mp4 (default ANIMATED_FORMAT)
+    // options.size: small, medium or large (default STICKER_SIZE)
+    // options.priority: 'low' for background pre-warming
+    async convertWebmToGif(webmUrl, fileId = null, options = {}) {
+        const format = resolveFormat(options.format);
+        const size = resolveSize(options.size);
+        const hash = this.generateHash(fileId || webmUrl);
+        const cachedFile = this.getCachePath(webmUrl, fileId, options);
 
         // Check cache first
         try {
-            await fs.access(cachedGif);
-            console.log(`Using cached GIF for ${hash}`);
-            return cachedGif;
+            await fs.access(cachedFile);
+            console.log(`Using cached ${format} for ${hash} (${size})`);
+            if (this.cacheManager) this.cacheManager.touch(cachedFile);
+            return cachedFile;
         } catch (err) {
             // Not in cache, need to convert
         }
 
-        const tempWebm = path.join(this.tempDir, `${hash}.webm`);
+        // Concurrent sends of the same sticker share one conversion
+        if (this.conversionQueue) {
+            return this.conversionQueue.run(path.basename(cachedFile), () => this.runConversion(webmUrl, hash, format, size, cachedFile), options.priority);
+        }
+        return this.runConversion(webmUrl, hash, format, size, cachedFile);
+    }
+
+    async runConversion(webmUrl, hash, format, size, cachedFile) {
+        // Per-variant temp names so different formats/sizes of the same sticker can convert side by side
+        const tempWebm = path.join(this.tempDir, `${hash}_${size}_${format}.webm`);
+        const framesDir = path.join(this.tempDir, `webm_${hash}_${size}_${format}`);
+        const partialFile = partialPathFor(cachedFile);
+        const width = SIZE_PRESETS[size];
 
         try {
             console.log(`Downloading WEBM from ${webmUrl}`);
             await this.downloadFile(webmUrl, tempWebm);
 
-            // Extract frames with ffmpeg, then encode with gifski
-            const framesDir = path.join(this.tempDir, `webm_${hash}`);
+            // Extract frames with ffmpeg, then encode (gifski for GIF, ffmpeg for WebP/MP4) within the size budget
             await fs.mkdir(framesDir, { recursive: true });
 
+            // -t stops decoding at the longest clip we keep instead of extracting every frame
             console.log(`Extracting WEBM frames: ${hash}`);
             await new Promise((resolve, reject) => {
-                exec(`ffmpeg -i "${tempWebm}" -vf "fps=50,scale=256:-1:flags=lanczos" "${framesDir}/frame_%04d.png"`, (error) => {
+                exec(`ffmpeg -i "${tempWebm}" -t ${MAX_SECONDS} -vf "fps=50,scale=${width}:-1:flags=lanczos" "${framesDir}/frame_%04d.png"`, (error) => {
                     if (error) reject(error);
                     else resolve();
                 });
             });
 
-            console.log(`Encoding GIF with gifski: ${hash}`);
-            await new Promise((resolve, reject) => {
-                exec(`gifski --fps 50 --width 256 --quality 90 -o "${cachedGif}" ${framesDir}/frame_*.png`, (error) => {
-                    if (error) reject(error);
-                    else resolve();
-                });
-            });
+            console.log(`Encoding ${format}: ${hash}`);
+            await encodeWithinBudget(framesDir, 50, width, format, partialFile, hash);
 
             // Clean up temp files
             const frames = await fs.readdir(framesDir);
@@ -92,31 +119,22 @@ class WebmHandler {
             await fs.rmdir(framesDir).catch(() => {});
             await fs.unlink(tempWebm).catch(() => {});
 
-            console.log(`Converted successfully: ${hash}`);
-            return cachedGif;
+            // Only a complete file is ever visible in the cache
+            await commitPartial(partialFile, cachedFile);
+            if (this.cacheManager) this.cacheManager.recordFile(cachedFile);
+            console.log(`Converted successfully: ${path.basename(cachedFile)}`);
+            return cachedFile;
         } catch (error) {
             console.error('Conversion failed:', error);
             // Clean up on failure
+            const frames = await fs.readdir(framesDir).catch(() => []);
+            for (const f of frames) await fs.unlink(path.join(framesDir, f)).catch(() => {});
+            await fs.rmdir(framesDir).catch(() => {});
             await fs.unlink(tempWebm).catch(() => {});
-            await fs.unlink(cachedGif).catch(() => {}); // Remove partial GIF if exists
+            await fs.unlink(partialFile).catch(() => {}); // Remove partial output if exists
             throw error;
         }
     }
-
-    async getGifUrl(originalUrl, baseUrl) {
-        try {
-            if (originalUrl.includes('.webm')) {
-                const gifPath = await this.convertWebmToGif(originalUrl);
-                const hash = this.generateHash(originalUrl);
-                // Return URL to serve the GIF
-                return `${baseUrl}/gif/${hash}.gif`;
-            }
-        } catch (error) {
-            console.error('Failed to convert to GIF:', error);
-        }
-        // Return original URL if conversion fails or not needed
-        return originalUrl;
-    }
 }
 
 module.exports = WebmHandler;
\ No newline at end of file
@@ -0,0 +1,9 @@
+// Comma-separated Mattermost IDs from an environment variable, e.g. PACK_ADMIN_USER_IDS
+function parseIdList(value) {
+    return (value || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => id);
+}
+
+module.exports = { parseIdList };
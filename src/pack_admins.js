@@ -0,0 +1,67 @@
+const axios = require('axios');
+const { parseIdList } = require('./id_list');
+
+// Decides who may add, edit and delete packs, from the user's Mattermost account.
+// System admins always qualify; PACK_ADMIN_USER_IDS and PACK_ADMIN_GROUP_IDS add more users.
+// Also checks channel admins, who manage per-channel settings.
+class PackAdmins {
+    constructor(serverUrl, botToken) {
+        this.serverUrl = serverUrl;
+        this.botToken = botToken;
+        this.userIds = parseIdList(process.env.PACK_ADMIN_USER_IDS);
+        this.groupIds = parseIdList(process.env.PACK_ADMIN_GROUP_IDS);
+        this.cacheMs = parseInt(process.env.PACK_ADMIN_CACHE_SECONDS || '60') * 1000;
+        this.decisions = new Map(); // userId -> { isAdmin, checkedAt }
+    }
+
+    async isAdmin(userId) {
+        if (!userId) return false;
+        if (this.userIds.includes(userId)) return true;
+
+        const cached = this.decisions.get(userId);
+        if (cached && Date.now() - cached.checkedAt < this.cacheMs) {
+            return cached.isAdmin;
+        }
+
+        try {
+            const isAdmin = await this.lookup(userId);
+            this.decisions.set(userId, { isAdmin, checkedAt: Date.now() });
+            return isAdmin;
+        } catch (error) {
+            // Failed lookups are not cached, and deny access
+            console.error(`[ADMIN] Role lookup failed for ${userId}:`, error.response?.data || error.message);
+            return false;
+        }
+    }
+
+    async lookup(userId) {
+        const headers = { 'Authorization': `Bearer ${this.botToken}` };
+
+        const user = await axios.get(`${this.serverUrl}/api/v4/users/${userId}`, { headers });
+        const roles = (user.data.roles || '').split(' ');
+        if (roles.includes('system_admin')) return true;
+
+        if (this.groupIds.length === 0) return false;
+
+        // Needs a bot account that can read other users' groups (e.g. a system admin bot)
+        const groups = await axios.get(`${this.serverUrl}/api/v4/users/${userId}/groups`, { headers });
+        return groups.data.some(group => this.groupIds.includes(group.id));
+    }
+
+    // Channel admins (and system admins) may change channel settings such as the send limit
+    async isChannelAdmin(channelId, userId) {
+        const headers = { 'Authorization': `Bearer ${this.botToken}` };
+        try {
+            const user = await axios.get(`${this.serverUrl}/api/v4/users/${userId}`, { headers });
+            if ((user.data.roles || '').split(' ').includes('system_admin')) return true;
+
+            const member = await axios.get(`${this.serverUrl}/api/v4/channels/${channelId}/members/${userId}`, { headers });
+            return member.data.scheme_admin === true || (member.data.roles || '').split(' ').includes('channel_admin');
+        } catch (error) {
+            console.error(`[ADMIN] Channel role lookup failed for ${userId} in ${channelId}:`, error.response?.data || error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = PackAdmins;
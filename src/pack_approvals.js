@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { readSessionSecret } = require('./session_secret');
+const { parseIdList } = require('./id_list');
+
+// Approval of newly added packs. Approvers get a DM from the bot with Approve/Reject buttons
+// (Mattermost interactive message buttons that call back into the web picker), and the
+// requester gets a DM with the outcome. Pack state itself lives in the pack repository.
+class PackApprovals {
+    constructor(bot, actionsUrl) {
+        this.bot = bot;
+        this.actionsUrl = actionsUrl; // where Mattermost sends button clicks
+        this.approverIds = parseIdList(process.env.PACK_APPROVER_IDS || process.env.PACK_ADMIN_USER_IDS);
+        // Buttons outlive picker sessions, so without SESSION_SECRET they stop working on restart
+        const { secret, random } = readSessionSecret();
+        if (random) {
+            console.warn('⚠️ SESSION_SECRET not set - using a random key, pack approval buttons stop working on restart');
+        }
+        this.secret = secret;
+        if (this.approverIds.length === 0) {
+            console.warn('⚠️ PACK_APPROVER_IDS not set - new packs can only be approved in the picker by pack admins');
+        }
+    }
+
+    isApprover(userId) {
+        return this.approverIds.includes(userId);
+    }
+
+    sign(packName, requestId, action) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${packName}:${requestId}:${action}`)
+            .digest('base64url');
+    }
+
+    // Check the context Mattermost sends back with a button click
+    verify(context) {
+        if (!context || typeof context.signature !== 'string') return false;
+        const expected = Buffer.from(this.sign(context.packName, context.requestId, context.action));
+        const given = Buffer.from(context.signature);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    button(pack, action, name, style) {
+        const context = { action, packName: pack.name, requestId: pack.approval.id };
+        return {
+            id: action,
+            name,
+            style,
+            integration: {
+                url: this.actionsUrl,
+                context: { ...context, signature: this.sign(pack.name, pack.approval.id, action) }
+            }
+        };
+    }
+
+    // DM every approver; onPost(approverId, postId) runs as each DM is sent, before the next one goes out
+    async requestApproval(pack, onPost) {
+        const { requestedBy } = pack.approval;
+        const text = [
+            `📥 **@${requestedBy.username}** wants to add the sticker pack **${pack.name}**`,
+            `Telegram: [${pack.title || pack.telegramName}](https://t.me/addstickers/${pack.telegramName}) - ${pack.stickerCount} stickers (${pack.stickerType})`
+        ].join('\n');
+        const props = {
+            attachments: [{
+                text: 'Open the link to preview the pack, then approve or reject it.',
+                actions: [
+                    this.button(pack, 'approve', 'Approve', 'good'),
+                    this.button(pack, 'reject', 'Reject', 'danger')
+                ]
+            }]
+        };
+
+        let asked = 0;
+        for (const approverId of this.approverIds) {
+            const post = await this.bot.sendDirectMessage(approverId, text, props);
+            if (post) {
+                asked++;
+                await onPost(approverId, post.id);
+            }
+        }
+        console.log(`[APPROVAL] Asked ${asked} approvers about ${pack.name}`);
+    }
+
+    // Remove the buttons from a DM whose request was decided before the DM was recorded
+    async closeRequest(postId, pack) {
+        await this.bot.updatePost(postId, `Sticker pack **${pack.name}** requested by @${pack.approval.requestedBy.username} was already handled.`);
+    }
+
+    // Tell the requester, and replace the buttons in every approver's DM with the outcome
+    async announceDecision(pack, approved, decidedBy) {
+        const outcome = approved ? '✅ Approved' : '❌ Rejected';
+        for (const postId of Object.values(pack.approval.posts || {})) {
+            await this.bot.updatePost(postId, `${outcome} by @${decidedBy}: sticker pack **${pack.name}** requested by @${pack.approval.requestedBy.username}`);
+        }
+
+        const message = approved
+            ? `✅ Your sticker pack **${pack.name}** was approved by @${decidedBy} and is now in the sticker picker.`
+            : `❌ Your sticker pack **${pack.name}** was rejected by @${decidedBy}.`;
+        await this.bot.sendDirectMessage(pack.approval.requestedBy.userId, message);
+    }
+}
+
+module.exports = PackApprovals;
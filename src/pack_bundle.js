@@ -0,0 +1,147 @@
+// Versioned JSON bundle of the pack catalog (custom packs, order, hidden default packs, scopes),
+// used to copy a curated pack list between bot instances.
+const { normalizeScope } = require('./pack_scope');
+const { validatePackName } = require('./pack_names');
+
+const BUNDLE_VERSION = 1;
+
+// Telegram set names are 1-64 chars of letters, digits and underscores
+const SET_NAME_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+
+function createBundle(customPacks, settings) {
+    return {
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        customPacks: customPacks.map(({ name, telegramName, title, stickerType, stickerCount, scope }) =>
+            ({ name, telegramName, title, stickerType, stickerCount, scope: scope || null })),
+        order: settings.order,
+        hiddenDefaults: settings.hidden,
+        defaultScopes: settings.defaultScopes
+    };
+}
+
+// Validate a bundle, returns an error message or null
+function validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object') return 'Bundle must be a JSON object';
+    if (!Number.isInteger(bundle.version)) return 'Bundle has no version';
+    if (bundle.version > BUNDLE_VERSION) return `Bundle version ${bundle.version} is newer than supported (${BUNDLE_VERSION})`;
+    if (!Array.isArray(bundle.customPacks)) return 'Bundle has no customPacks list';
+    return null;
+}
+
+// Work out the catalog after importing a bundle, without touching storage.
+// mode 'merge' keeps existing packs and skips conflicting ones; 'replace' makes the bundle the new catalog.
+// Returns { customPacks, settings, report }.
+function applyBundle(bundle, current, mode, defaultPacks) {
+    const report = { mode, added: [], unchanged: [], replaced: [], removed: [], conflicts: [] };
+    const lower = name => name.toLowerCase();
+    const isDefault = name => defaultPacks.some(d => lower(d) === lower(name));
+
+    const existing = current.customPacks;
+    const customPacks = mode === 'replace' ? [] : existing.map(pack => ({ ...pack }));
+    const seen = new Set(); // lowercased names taken by the bundle so far
+
+    for (const entry of bundle.customPacks) {
+        const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+        const telegramName = entry?.telegramName;
+        if (!name || typeof telegramName !== 'string' || !SET_NAME_PATTERN.test(telegramName)) {
+            report.conflicts.push({ name: name || null, reason: 'Invalid pack entry', resolution: 'skipped' });
+            continue;
+        }
+        const invalidName = validatePackName(name);
+        if (invalidName) {
+            report.conflicts.push({ name, reason: invalidName, resolution: 'skipped' });
+            continue;
+        }
+        if (isDefault(name) || isDefault(telegramName)) {
+            report.conflicts.push({ name, reason: 'Clashes with a default pack', resolution: 'skipped' });
+            continue;
+        }
+        // A restricted pack must not become available everywhere because its scope didn't survive
+        const { scope, error: scopeError } = normalizeScope(entry.scope);
+        if (scopeError) {
+            report.conflicts.push({ name, reason: scopeError, resolution: 'skipped' });
+            continue;
+        }
+        if (seen.has(lower(name))) {
+            report.conflicts.push({ name, reason: 'Listed twice in the bundle', resolution: 'skipped' });
+            continue;
+        }
+
+        const sameName = customPacks.find(pack => lower(pack.name) === lower(name));
+        const sameSet = customPacks.find(pack => lower(pack.telegramName) === lower(telegramName) && pack !== sameName);
+        if (sameSet) {
+            report.conflicts.push({ name, reason: `Telegram pack ${telegramName} is already listed as "${sameSet.name}"`, resolution: 'skipped' });
+            continue;
+        }
+        seen.add(lower(name));
+
+        const pack = {
+            name,
+            telegramName,
+            title: entry.title,
+            stickerType: entry.stickerType,
+            stickerCount: entry.stickerCount,
+            scope,
+            added: new Date().toISOString()
+        };
+
+        if (mode === 'replace') {
+            const previous = existing.find(p => lower(p.name) === lower(name));
+            if (previous && lower(previous.telegramName) !== lower(telegramName)) {
+                report.conflicts.push({ name, reason: `Was ${previous.telegramName}, now ${telegramName}`, resolution: 'replaced' });
+                report.replaced.push(name);
+            } else if (previous) {
+                report.unchanged.push(name);
+                pack.added = previous.added || pack.added;
+            } else {
+                report.added.push(name);
+            }
+            customPacks.push(pack);
+        } else if (sameName) {
+            if (lower(sameName.telegramName) === lower(telegramName)) {
+                report.unchanged.push(name);
+            } else {
+                report.conflicts.push({ name, reason: `Already exists with Telegram pack ${sameName.telegramName}`, resolution: 'skipped' });
+            }
+        } else {
+            report.added.push(name);
+            customPacks.push(pack);
+        }
+    }
+
+    if (mode === 'replace') {
+        report.removed = existing
+            .filter(pack => !customPacks.some(p => lower(p.name) === lower(pack.name)))
+            .map(pack => pack.name);
+    }
+
+    // Only keep order entries and hidden packs that exist in this instance
+    const known = [...defaultPacks, ...customPacks.map(pack => pack.name)];
+    const bundleOrder = (Array.isArray(bundle.order) ? bundle.order : []).filter(name => known.includes(name));
+    const bundleHidden = (Array.isArray(bundle.hiddenDefaults) ? bundle.hiddenDefaults : []).filter(name => defaultPacks.includes(name));
+
+    // Scopes of default packs from the bundle; in merge mode the current ones win
+    const bundleScopes = {};
+    for (const [name, input] of Object.entries(bundle.defaultScopes || {})) {
+        if (!defaultPacks.includes(name)) continue;
+        const { scope, error } = normalizeScope(input);
+        if (error) {
+            report.conflicts.push({ name, reason: error, resolution: 'scope skipped' });
+        } else if (scope) {
+            bundleScopes[name] = scope;
+        }
+    }
+
+    const settings = mode === 'replace'
+        ? { order: [...new Set(bundleOrder)], hidden: [...new Set(bundleHidden)], defaultScopes: bundleScopes }
+        : {
+            order: [...new Set([...current.settings.order, ...bundleOrder])],
+            hidden: [...new Set([...current.settings.hidden, ...bundleHidden])],
+            defaultScopes: { ...bundleScopes, ...current.settings.defaultScopes }
+        };
+
+    return { customPacks, settings, report };
+}
+
+module.exports = { BUNDLE_VERSION, createBundle, validateBundle, applyBundle };
@@ -0,0 +1,31 @@
+// Rules for custom pack names, shared by adding, renaming and importing packs.
+
+// "/sticker <word> ..." subcommands; a pack with one of these names could not be sent by name
+const RESERVED_NAMES = ['help', 'limit'];
+
+const MAX_LENGTH = 64;
+
+// Names end up in URL paths (/api/pack/<name>) and slash commands, so URL delimiters and control characters are out
+const FORBIDDEN_CHARACTERS = /[\/\\?#%\u0000-\u001f\u007f]/;
+
+// Error message for an unusable pack name, or null if it is fine
+function validatePackName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Pack name is required';
+    }
+    if (name !== name.trim()) {
+        return 'Pack name must not start or end with spaces';
+    }
+    if (name.length > MAX_LENGTH) {
+        return `Pack name must be at most ${MAX_LENGTH} characters`;
+    }
+    if (FORBIDDEN_CHARACTERS.test(name)) {
+        return 'Pack name must not contain / \\ ? # % or control characters';
+    }
+    if (RESERVED_NAMES.includes(name.toLowerCase())) {
+        return `"${name}" is reserved for /sticker ${name.toLowerCase()}, choose another name`;
+    }
+    return null;
+}
+
+module.exports = { validatePackName };
@@ -0,0 +1,66 @@
+// Background jobs that convert every sticker of a pack into the cache ahead of the first send.
+// Conversions go through the shared queue at low priority, behind user sends.
+class PackPrewarmer {
+    constructor(convertSticker) {
+        this.convertSticker = convertSticker; // (sticker, options) => { filePath } | null
+        this.jobs = new Map(); // packName -> { state, total, converted, failed, startedAt, finishedAt }
+    }
+
+    getStatus(packName) {
+        return this.jobs.get(packName) || null;
+    }
+
+    // Start pre-warming unless a job for the pack is already running; stickers: [{ fileId, isAnimated, isVideo }]
+    start(packName, stickers) {
+        const existing = this.jobs.get(packName);
+        if (existing && existing.state === 'running') {
+            return existing;
+        }
+
+        const job = {
+            state: 'running',
+            total: stickers.length,
+            converted: 0,
+            failed: 0,
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        this.jobs.set(packName, job);
+
+        console.log(`[PREWARM] Starting ${packName} (${stickers.length} stickers)`);
+        this.runJob(packName, job, stickers);
+        return job;
+    }
+
+    async runJob(packName, job, stickers) {
+        await Promise.all(stickers.map(async (sticker) => {
+            let result = null;
+            try {
+                result = await this.convertSticker(sticker, { priority: 'low' });
+            } catch (err) {
+                console.error(`[PREWARM] ${packName}: conversion failed:`, err.message);
+            }
+            if (result) job.converted++;
+            else job.failed++;
+        }));
+
+        job.state = 'done';
+        job.finishedAt = new Date().toISOString();
+        console.log(`[PREWARM] Finished ${packName}: ${job.converted} converted, ${job.failed} failed`);
+    }
+
+    // Keep the status of a renamed pack
+    rename(oldName, newName) {
+        const job = this.jobs.get(oldName);
+        if (!job) return;
+        this.jobs.delete(oldName);
+        this.jobs.set(newName, job);
+    }
+
+    // Drop the status of a removed pack (a running job still finishes in the background)
+    forget(packName) {
+        this.jobs.delete(packName);
+    }
+}
+
+module.exports = PackPrewarmer;
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+
+// Current layout of data/custom-packs.json
+const SCHEMA_VERSION = 3;
+
+// Each migration turns data of schema version N into N + 1
+const MIGRATIONS = {
+    // v1: a bare array of custom packs; order and hidden default packs lived in pack-settings.json
+    1: (packs, dataDir) => {
+        let settings = {};
+        const settingsFile = path.join(dataDir, 'pack-settings.json');
+        try {
+            if (fs.existsSync(settingsFile)) {
+                settings = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error('[PACKS] Ignoring unreadable pack-settings.json:', error.message);
+        }
+        return {
+            schemaVersion: 2,
+            customPacks: packs,
+            order: settings.order || [],
+            hidden: settings.hidden || []
+        };
+    },
+    // v2: scopes of default packs added (custom packs carry their own scope)
+    2: (data) => ({ ...data, schemaVersion: 3, defaultScopes: {} })
+};
+
+function emptyData() {
+    return { customPacks: [], order: [], hidden: [], defaultScopes: {} };
+}
+
+// Custom packs, pack order, hidden default packs and default-pack scopes, stored in data/custom-packs.json.
+// Reads come from memory; mutations run one at a time and are written atomically
+// (temp file + rename), keeping the previous file as custom-packs.json.bak.
+class PackRepository {
+    constructor(dataDir = path.join(__dirname, '..', 'data')) {
+        this.dataDir = dataDir;
+        this.dataFile = path.join(dataDir, 'custom-packs.json');
+        this.backupFile = `${this.dataFile}.bak`;
+        this.queue = Promise.resolve(); // tail of the mutation chain
+        this.fileIsGood = true; // false while data/custom-packs.json is the corrupt file
+        this.data = this.load();
+    }
+
+    // Parse and migrate one file, throws if it is missing or unusable
+    readFile(file) {
+        let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        let version = Array.isArray(data) ? 1 : data.schemaVersion;
+        if (!Number.isInteger(version) || version > SCHEMA_VERSION) {
+            throw new Error(`Unsupported schema version ${version}`);
+        }
+        while (version < SCHEMA_VERSION) {
+            data = MIGRATIONS[version](data, this.dataDir);
+            console.log(`[PACKS] Migrated ${path.basename(file)} from schema v${version} to v${version + 1}`);
+            version++;
+        }
+        if (!Array.isArray(data.customPacks)) {
+            throw new Error('customPacks is not a list');
+        }
+        return {
+            customPacks: data.customPacks,
+            order: data.order || [],
+            hidden: data.hidden || [],
+            defaultScopes: data.defaultScopes || {}
+        };
+    }
+
+    load() {
+        if (!fs.existsSync(this.dataFile)) {
+            return emptyData();
+        }
+
+        try {
+            return this.readFile(this.dataFile);
+        } catch (error) {
+            console.error(`[PACKS] ${this.dataFile} is unreadable (${error.message})`);
+        }
+
+        // Keep the broken file for inspection, then fall back to the last good write
+        const corruptFile = `${this.dataFile}.corrupt-${Date.now()}`;
+        fs.copyFileSync(this.dataFile, corruptFile);
+        this.fileIsGood = false;
+        console.error(`[PACKS] Saved the unreadable file as ${corruptFile}`);
+
+        try {
+            const data = this.readFile(this.backupFile);
+            console.warn(`[PACKS] Recovered ${data.customPacks.length} custom packs from ${this.backupFile}`);
+            return data;
+        } catch (error) {
+            console.error(`[PACKS] No usable backup (${error.message}), starting with no custom packs`);
+            return emptyData();
+        }
+    }
+
+    getCustomPacks() {
+        return structuredClone(this.data.customPacks);
+    }
+
+    // { order, hidden, defaultScopes }
+    getSettings() {
+        return {
+            order: [...this.data.order],
+            hidden: [...this.data.hidden],
+            defaultScopes: structuredClone(this.data.defaultScopes)
+        };
+    }
+
+    // Run fn(draft) after all earlier mutations, then write the draft. draft has customPacks, order, hidden and defaultScopes.
+    // If fn throws, nothing is written and the error is passed on. Resolves with fn's return value.
+    mutate(fn) {
+        const run = this.queue.then(async () => {
+            const draft = structuredClone(this.data);
+            const result = await fn(draft);
+            await this.write(draft);
+            this.data = draft;
+            return result;
+        });
+        // Keep the chain going after a failed mutation
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async write(data) {
+        const tempFile = `${this.dataFile}.tmp-${process.pid}`;
+        const contents = JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...data }, null, 2);
+
+        const handle = await fs.promises.open(tempFile, 'w');
+        try {
+            await handle.writeFile(contents);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        // The current file was read or written successfully, so it becomes the backup
+        if (this.fileIsGood && fs.existsSync(this.dataFile)) {
+            await fs.promises.copyFile(this.dataFile, this.backupFile);
+        }
+        await fs.promises.rename(tempFile, this.dataFile);
+        this.fileIsGood = true;
+    }
+}
+
+module.exports = PackRepository;
@@ -0,0 +1,40 @@
+// Where a pack may be used, by Mattermost team and channel ID:
+// { teams: { allow: [], deny: [] }, channels: { allow: [], deny: [] } }
+// A pack without a scope (null) is available everywhere.
+
+// Mattermost IDs are 26 lowercase letters and digits
+const MATTERMOST_ID = /^[a-z0-9]{26}$/;
+
+// Validate a scope from a request or bundle. Returns { scope } (null when every list is empty) or { error }.
+function normalizeScope(input) {
+    if (input === null || input === undefined) return { scope: null };
+    if (typeof input !== 'object') return { error: 'scope must be an object' };
+
+    const scope = {};
+    for (const kind of ['teams', 'channels']) {
+        scope[kind] = {};
+        for (const list of ['allow', 'deny']) {
+            const ids = input[kind]?.[list] ?? [];
+            if (!Array.isArray(ids)) return { error: `scope.${kind}.${list} must be an array of IDs` };
+            const invalid = ids.find(id => typeof id !== 'string' || !MATTERMOST_ID.test(id));
+            if (invalid !== undefined) return { error: `Invalid ${kind === 'teams' ? 'team' : 'channel'} ID: ${invalid}` };
+            scope[kind][list] = [...new Set(ids)];
+        }
+    }
+
+    const empty = ['teams', 'channels'].every(kind => scope[kind].allow.length === 0 && scope[kind].deny.length === 0);
+    return { scope: empty ? null : scope };
+}
+
+// Channel rules win over team rules, deny wins over allow at the same level.
+// Once any allow list is set, the pack is only available where something allows it.
+function isAvailable(scope, teamId, channelId) {
+    if (!scope) return true;
+    if (channelId && scope.channels.deny.includes(channelId)) return false;
+    if (channelId && scope.channels.allow.includes(channelId)) return true;
+    if (teamId && scope.teams.deny.includes(teamId)) return false;
+    if (teamId && scope.teams.allow.includes(teamId)) return true;
+    return scope.teams.allow.length === 0 && scope.channels.allow.length === 0;
+}
+
+module.exports = { normalizeScope, isAvailable };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { readSessionSecret } = require('./session_secret');
+
+// How often expired sessions are removed
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Picker sessions, each bound to the user and channel that opened the picker.
+// The browser holds "<id>.<signature>": a random id plus an HMAC over the id, user, channel and expiry,
+// so tokens can't be guessed or forged, and a token only ever matches the session it was issued for.
+// Sessions live in memory only: every open picker link stops working when the bot restarts.
+class PickerSessions {
+    constructor() {
+        this.secret = readSessionSecret().secret;
+        this.ttlMs = parseFloat(process.env.SESSION_TTL_MINUTES || '10') * 60 * 1000;
+        this.maxSends = parseInt(process.env.SESSION_MAX_SENDS || '0'); // 0 = unlimited
+        this.sessions = new Map(); // id -> session
+
+        this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweeper.unref();
+    }
+
+    sign(id, session) {
+        return crypto.createHmac('sha256', this.secret)
+            .update(`${id}:${session.userId}:${session.channelId}:${session.expiresAt}`)
+            .digest('base64url');
+    }
+
+    // Create a session, returns its token for the picker link
+    create(fields) {
+        const id = crypto.randomBytes(24).toString('base64url');
+        const session = { ...fields, sends: 0, created: Date.now(), expiresAt: Date.now() + this.ttlMs };
+        this.sessions.set(id, session);
+        return `${id}.${this.sign(id, session)}`;
+    }
+
+    // { id, session } for a token with a valid signature, or null
+    lookup(token) {
+        const [id, signature] = String(token || '').split('.');
+        const session = id && this.sessions.get(id);
+        if (!session || !signature) return null;
+
+        const expected = Buffer.from(this.sign(id, session));
+        const given = Buffer.from(signature);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return null;
+        }
+        return { id, session };
+    }
+
+    // { session } or { error: 'invalid' | 'expired' | 'quota' }; pass forSend to also check the send quota
+    check(token, forSend = false) {
+        const found = this.lookup(token);
+        if (!found) return { error: 'invalid' };
+        if (Date.now() > found.session.expiresAt) {
+            this.sessions.delete(found.id);
+            return { error: 'expired' };
+        }
+        if (forSend && this.maxSends > 0 && found.session.sends >= this.maxSends) {
+            return { error: 'quota' };
+        }
+        return { session: found.session };
+    }
+
+    // Session for a token, or null if it is unknown, forged or expired
+    get(token) {
+        return this.check(token).session || null;
+    }
+
+    revoke(token) {
+        const found = this.lookup(token);
+        if (!found) return false;
+        this.sessions.delete(found.id);
+        return true;
+    }
+
+    // Revoke every session of a user, returns how many were removed
+    revokeUser(userId) {
+        let removed = 0;
+        for (const [id, session] of this.sessions) {
+            if (session.userId === userId) {
+                this.sessions.delete(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [id, session] of this.sessions) {
+            if (now > session.expiresAt) {
+                this.sessions.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = PickerSessions;
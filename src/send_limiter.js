@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+
+// How often full buckets are dropped (a full bucket behaves like a new one)
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+function readLimit(name, fallback) {
+    return Math.max(0, parseInt(process.env[name] || fallback));
+}
+
+// Token-bucket limits on sticker sends, per user, per channel and for the whole bot.
+// A limit of N per minute allows bursts of N and refills at N/60 per second; 0 turns a limit off.
+// Channels can have a stricter limit than the default, stored in data/channel-limits.json.
+class SendLimiter {
+    constructor() {
+        this.limits = {
+            user: readLimit('SEND_LIMIT_USER_PER_MINUTE', '10'),
+            channel: readLimit('SEND_LIMIT_CHANNEL_PER_MINUTE', '30'),
+            global: readLimit('SEND_LIMIT_GLOBAL_PER_MINUTE', '120')
+        };
+        this.buckets = new Map(); // "user:<id>" | "channel:<id>" | "global" -> { tokens, perMinute, updatedAt }
+        this.overridesFile = path.join(__dirname, '..', 'data', 'channel-limits.json');
+        this.overrides = this.loadOverrides(); // channelId -> per-minute limit
+
+        this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweeper.unref();
+    }
+
+    // An unreadable file is kept as it is: saving over it would drop every channel's stricter limit
+    loadOverrides() {
+        this.overridesUnreadable = false;
+        try {
+            if (fs.existsSync(this.overridesFile)) {
+                return JSON.parse(fs.readFileSync(this.overridesFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error(`[LIMIT] ${this.overridesFile} is unreadable, using default channel limits and refusing changes until it is fixed:`, error.message);
+            this.overridesUnreadable = true;
+        }
+        return {};
+    }
+
+    // Written to a temp file and renamed over the old one, so a crash never leaves a half-written file
+    saveOverrides(overrides) {
+        const tempFile = `${this.overridesFile}.tmp-${process.pid}`;
+        try {
+            const fd = fs.openSync(tempFile, 'w');
+            try {
+                fs.writeFileSync(fd, JSON.stringify(overrides, null, 2));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempFile, this.overridesFile);
+        } catch (error) {
+            fs.rmSync(tempFile, { force: true });
+            console.error('[LIMIT] Failed to write channel limits:', error.message);
+            throw new Error('Failed to save the channel limit');
+        }
+    }
+
+    // Per-minute limit of a channel (0 = unlimited)
+    getChannelLimit(channelId) {
+        const override = this.overrides[channelId];
+        if (!override) return this.limits.channel;
+        return this.limits.channel > 0 ? Math.min(override, this.limits.channel) : override;
+    }
+
+    getChannelOverride(channelId) {
+        return this.overrides[channelId] || null;
+    }
+
+    // perMinute null removes the override; a limit above the default is rejected, since it could not apply
+    setChannelLimit(channelId, perMinute) {
+        if (this.overridesUnreadable) {
+            throw new Error('Channel limits can\'t be changed right now, the stored limits are unreadable');
+        }
+        const overrides = { ...this.overrides };
+        if (perMinute === null) {
+            delete overrides[channelId];
+        } else {
+            if (!Number.isInteger(perMinute) || perMinute < 1) {
+                throw new Error('Limit must be a whole number of stickers per minute');
+            }
+            if (this.limits.channel > 0 && perMinute > this.limits.channel) {
+                throw new Error(`Limit can only be stricter than the default of ${this.limits.channel} per minute`);
+            }
+            overrides[channelId] = perMinute;
+        }
+        this.saveOverrides(overrides);
+        this.overrides = overrides;
+        this.buckets.delete(`channel:${channelId}`);
+    }
+
+    // Bucket with its tokens refilled up to now
+    getBucket(key, perMinute, now) {
+        let bucket = this.buckets.get(key);
+        if (!bucket || bucket.perMinute !== perMinute) {
+            bucket = { tokens: perMinute, perMinute, updatedAt: now };
+            this.buckets.set(key, bucket);
+        }
+        bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * perMinute / 60000);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    // Take one send from the user, channel and global buckets, all or none.
+    // Returns { allowed: true } or { allowed: false, scope, limit, retryAfter (seconds), message }.
+    take(userId, channelId) {
+        const now = Date.now();
+        const checks = [
+            { scope: 'user', key: `user:${userId}`, limit: this.limits.user },
+            { scope: 'channel', key: `channel:${channelId}`, limit: this.getChannelLimit(channelId) },
+            { scope: 'global', key: 'global', limit: this.limits.global }
+        ].filter(check => check.limit > 0);
+
+        for (const check of checks) {
+            check.bucket = this.getBucket(check.key, check.limit, now);
+            if (check.bucket.tokens < 1) {
+                const retryAfter = Math.ceil((1 - check.bucket.tokens) * 60 / check.limit);
+                return { allowed: false, scope: check.scope, limit: check.limit, retryAfter, message: this.describe(check.scope, check.limit, retryAfter) };
+            }
+        }
+
+        for (const check of checks) {
+            check.bucket.tokens -= 1;
+        }
+        return { allowed: true };
+    }
+
+    describe(scope, limit, retryAfter) {
+        const wait = `Try again in ${retryAfter}s.`;
+        const rate = `${limit} sticker${limit === 1 ? '' : 's'} per minute`;
+        if (scope === 'user') return `Slow down: you can send ${rate}. ${wait}`;
+        if (scope === 'channel') return `This channel allows ${rate}. ${wait}`;
+        return `Too many stickers are being sent right now. ${wait}`;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) * bucket.perMinute / 60000 >= bucket.perMinute) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = SendLimiter;
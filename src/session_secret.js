@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Example value from older .env.example files; it is public, so it never counts as a secret
+const PLACEHOLDER_SECRET = 'your_random_secret_here';
+
+let placeholderReported = false;
+
+// SESSION_SECRET, or a random key (valid until the bot restarts) when it is unset or the example value
+function readSessionSecret() {
+    const secret = process.env.SESSION_SECRET;
+    if (secret === PLACEHOLDER_SECRET && !placeholderReported) {
+        placeholderReported = true;
+        console.error(`❌ SESSION_SECRET is still the example value "${PLACEHOLDER_SECRET}" - ignoring it, set a random string`);
+    }
+    if (!secret || secret === PLACEHOLDER_SECRET) {
+        return { secret: crypto.randomBytes(32).toString('hex'), random: true };
+    }
+    return { secret, random: false };
+}
+
+module.exports = { readSessionSecret };
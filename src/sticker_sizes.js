@@ -0,0 +1,14 @@
+// Output width presets for sent stickers
+const SIZE_PRESETS = {
+    small: 128,
+    medium: 256,
+    large: 512
+};
+
+const DEFAULT_SIZE = SIZE_PRESETS[process.env.STICKER_SIZE] ? process.env.STICKER_SIZE : 'medium';
+
+function resolveSize(size) {
+    return SIZE_PRESETS[size] ? size : DEFAULT_SIZE;
+}
+
+module.exports = { SIZE_PRESETS, DEFAULT_SIZE, resolveSize };
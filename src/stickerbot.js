@@ -13,6 +13,7 @@ const WebmHandler = require('./handler_webm');
 const TgsHandler = require('./handler_tgs');
 const StaticHandler = require('./handler_static');
 const CacheManager = require('./cache_manager');
+const ConversionQueue = require('./conversion_queue');
 
 class StickerBot {
     constructor(config) {
@@ -26,18 +27,19 @@ class StickerBot {
         // Initialize Telegram API
         this.telegram = new TelegramAPI(process.env.TELEGRAM_BOT_TOKEN);
 
-        // Initialize converters
-        this.webmHandler = new WebmHandler();
-        this.tgsHandler = new TgsHandler();
-        this.staticHandler = new StaticHandler();
+        // Initialize and start cache manager (handlers report cache hits and new files to it)
+        this.cacheManager = new CacheManager();
+        this.cacheManager.start();
+
+        // Initialize converters (sharing one queue so total ffmpeg/gifski/lottie work is capped)
+        this.conversionQueue = new ConversionQueue();
+        this.webmHandler = new WebmHandler(this.cacheManager, this.conversionQueue);
+        this.tgsHandler = new TgsHandler(this.cacheManager, this.conversionQueue);
+        this.staticHandler = new StaticHandler(this.cacheManager, this.conversionQueue);
 
         // Initialize web picker with all handlers
         this.webPicker = new WebPicker(this, this.telegram, process.env.UI_PORT || 3333, this.webmHandler, this.tgsHandler, this.staticHandler);
         this.webPicker.start();
-
-        // Initialize and start cache manager
-        this.cacheManager = new CacheManager();
-        this.cacheManager.start();
     }
 
     async connect() {
@@ -169,7 +171,7 @@ class StickerBot {
         await this.sendEphemeralPost(post.user_id, post.channel_id, `❌ Unknown command. Try \`@${this.botUsername} help\``);
     }
 
-    async sendMessage(channelId, message, rootId = null) {
+    async sendMessage(channelId, message, rootId = null, props = null) {
         try {
             const postData = {
                 channel_id: channelId,
@@ -178,6 +180,9 @@ class StickerBot {
             if (rootId) {
                 postData.root_id = rootId;
             }
+            if (props) {
+                postData.props = props;
+            }
             const response = await axios.post(`${this.serverUrl}/api/v4/posts`, postData, {
                 headers: {
                     'Authorization': `Bearer ${this.botToken}`
@@ -192,6 +197,36 @@ class StickerBot {
         }
     }
 
+    // Post in the bot's direct channel with a user; props can carry message attachments with buttons
+    async sendDirectMessage(userId, message, props = null) {
+        try {
+            const channel = await axios.post(`${this.serverUrl}/api/v4/channels/direct`, [this.botId, userId], {
+                headers: {
+                    'Authorization': `Bearer ${this.botToken}`
+                }
+            });
+            return await this.sendMessage(channel.data.id, message, null, props);
+        } catch (error) {
+            console.error(`Failed to open direct channel with ${userId}:`, error.response?.data || error.message);
+        }
+    }
+
+    // Replace a post's message and drop its attachments (e.g. buttons that were already used)
+    async updatePost(postId, message) {
+        try {
+            await axios.put(`${this.serverUrl}/api/v4/posts/${postId}/patch`, {
+                message,
+                props: { attachments: [] }
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${this.botToken}`
+                }
+            });
+        } catch (error) {
+            console.error(`Failed to update post ${postId}:`, error.response?.data || error.message);
+        }
+    }
+
     async sendEphemeralPost(userId, channelId, message) {
         try {
             const response = await axios.post(`${this.serverUrl}/api/v4/posts/ephemeral`, {
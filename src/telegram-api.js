@@ -1,5 +1,13 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const TelegramCache = require('./telegram_cache');
+
+// Network errors worth retrying (timeouts, dropped connections)
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
 class TelegramAPI {
     constructor(botToken) {
@@ -7,58 +15,189 @@ class TelegramAPI {
         this.botToken = botToken || process.env.TELEGRAM_BOT_TOKEN;
         this.baseUrl = `https://api.telegram.org/bot${this.botToken}`;
         this.fileUrl = `https://api.telegram.org/file/bot${this.botToken}`;
-        this.stickerCache = new Map();
+        this.cache = new TelegramCache(); // set metadata and hash -> file_id, persisted in data/
         this.urlMap = new Map(); // hash -> real URL (token never leaves server)
+        this.refreshing = new Map(); // set name -> in-flight refresh promise
+
+        // Request scheduler: bounded concurrency, shared pause after a 429
+        this.maxConcurrent = parseInt(process.env.TELEGRAM_CONCURRENCY || '4');
+        this.maxRetries = parseInt(process.env.TELEGRAM_MAX_RETRIES || '4');
+        this.requestTimeoutMs = parseInt(process.env.TELEGRAM_TIMEOUT_MS || '15000');
+        this.activeRequests = 0;
+        this.waitingRequests = []; // resolvers waiting for a free slot
+        this.pausedUntil = 0;
+    }
+
+    acquireSlot() {
+        if (this.activeRequests < this.maxConcurrent) {
+            this.activeRequests++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waitingRequests.push(resolve));
+    }
+
+    releaseSlot() {
+        const next = this.waitingRequests.shift();
+        if (next) next(); // hand the slot straight to the next request
+        else this.activeRequests--;
+    }
+
+    // Milliseconds to wait before retrying a failed request, or null if it shouldn't be retried
+    getRetryDelay(error, attempt) {
+        if (attempt >= this.maxRetries) return null;
+
+        const status = error.response?.status;
+        if (status === 429) {
+            // Telegram tells us how long to back off; every request waits, not just this one
+            const retryAfter = error.response.data?.parameters?.retry_after || 1;
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter * 1000);
+            return retryAfter * 1000;
+        }
+        if (status >= 500 || (!error.response && RETRYABLE_CODES.includes(error.code))) {
+            return Math.min(500 * 2 ** attempt, 10000) + Math.floor(Math.random() * 250);
+        }
+        return null;
+    }
+
+    // Call a Bot API method through the scheduler, resolves with the response body
+    async callApi(method, params) {
+        for (let attempt = 0; ; attempt++) {
+            await this.acquireSlot();
+            let error;
+            try {
+                const pauseMs = this.pausedUntil - Date.now();
+                if (pauseMs > 0) await sleep(pauseMs);
+
+                const response = await axios.get(`${this.baseUrl}/${method}`, {
+                    params,
+                    timeout: this.requestTimeoutMs
+                });
+                return response.data;
+            } catch (err) {
+                error = err;
+            } finally {
+                this.releaseSlot();
+            }
+
+            const delayMs = this.getRetryDelay(error, attempt);
+            if (delayMs === null) throw error;
+            console.warn(`[TELEGRAM] ${method} failed (${error.response?.status || error.code}), retry ${attempt + 1}/${this.maxRetries} in ${delayMs}ms`);
+            await sleep(delayMs);
+        }
     }
 
     // Generate hash and store URL mapping with file_id for refresh
+    // url may be null for stickers whose file isn't resolved yet; the proxy resolves it on first load
     hashUrl(url, fileId) {
         const hash = crypto.createHash('md5').update(fileId).digest('hex').substring(0, 16);
-        this.urlMap.set(hash, { url, fileId });
+        if (url) this.urlMap.set(hash, { url, fileId });
+        this.cache.setFileId(hash, fileId);
         return hash;
     }
 
+    knowsHash(hash) {
+        return this.urlMap.has(hash) || !!this.cache.getFileId(hash);
+    }
+
     // Get real URL from hash, auto-refresh if expired (404)
     async getUrlFromHash(hash) {
         const entry = this.urlMap.get(hash);
-        if (!entry) return null;
-        return entry.url;
+        if (entry) return entry.url;
+
+        // Hashes handed out before a restart are resolved again from the persisted file_id
+        return this.refreshUrl(hash);
     }
 
     // Refresh expired URL using file_id
     async refreshUrl(hash) {
-        const entry = this.urlMap.get(hash);
-        if (!entry) return null;
+        const fileId = this.urlMap.get(hash)?.fileId || this.cache.getFileId(hash);
+        if (!fileId) return null;
 
-        const freshUrl = await this.getFileUrl(entry.fileId);
+        const freshUrl = await this.getFileUrl(fileId);
         if (freshUrl) {
-            entry.url = freshUrl;
-            this.urlMap.set(hash, entry);
+            this.urlMap.set(hash, { url: freshUrl, fileId });
             return freshUrl;
         }
         return null;
     }
 
+    // Extract the actual set name from URLs like t.me/addstickers/memezey
+    cleanSetName(setName) {
+        return setName.replace(/.*addstickers\//, '');
+    }
+
+    // When the cached copy of a set was fetched from Telegram (undefined if not cached)
+    getSetFetchedAt(setName) {
+        return this.cache.getSet(this.cleanSetName(setName))?.fetchedAt;
+    }
+
+    isSetStale(setName) {
+        return this.cache.isStale(this.cleanSetName(setName));
+    }
+
+    // Cached sets are served until TELEGRAM_CACHE_TTL_HOURS, then served stale while refreshing in the background
     async getStickerSet(setName) {
-        try {
-            // Extract the actual set name from URLs like t.me/addstickers/memezey
-            const cleanName = setName.replace(/.*addstickers\//, '');
+        const cleanName = this.cleanSetName(setName);
+        const cached = this.cache.getSet(cleanName);
+        if (cached) {
+            if (this.cache.isStale(cleanName)) {
+                this.refreshStickerSet(cleanName).catch(() => {});
+            }
+            return cached.set;
+        }
+        return this.refreshStickerSet(cleanName);
+    }
 
-            if (this.stickerCache.has(cleanName)) {
-                return this.stickerCache.get(cleanName);
+    // Fetch a set from Telegram and replace the cached copy; concurrent calls share one request
+    refreshStickerSet(setName) {
+        const cleanName = this.cleanSetName(setName);
+        if (this.refreshing.has(cleanName)) {
+            return this.refreshing.get(cleanName);
+        }
+
+        const promise = this.fetchStickerSet(cleanName).then((stickerSet) => {
+            if (stickerSet) {
+                this.cache.setSet(cleanName, stickerSet);
+                console.log(`Fetched sticker set ${cleanName} (${stickerSet.stickers.length} stickers)`);
             }
+            return stickerSet;
+        }).finally(() => {
+            this.refreshing.delete(cleanName);
+        });
+        this.refreshing.set(cleanName, promise);
+        return promise;
+    }
+
+    // Look up a set for validation: resolves with the set (and caches it), or null if Telegram
+    // says it doesn't exist. Throws when Telegram can't be reached, so callers can tell the two apart.
+    async validateStickerSet(setName) {
+        const cleanName = this.cleanSetName(setName);
+        try {
+            const data = await this.callApi('getStickerSet', { name: cleanName });
+            if (!data.ok) return null;
+            this.cache.setSet(cleanName, data.result);
+            return data.result;
+        } catch (error) {
+            // STICKERSET_INVALID comes back as 400 Bad Request
+            if (error.response?.status === 400) return null;
+            throw error;
+        }
+    }
 
-            const response = await axios.get(`${this.baseUrl}/getStickerSet`, {
-                params: { name: cleanName }
-            });
+    // Drop a set from the cache so the next request fetches it again
+    invalidateStickerSet(setName) {
+        this.cache.deleteSet(this.cleanSetName(setName));
+    }
 
-            if (response.data.ok) {
-                const stickerSet = response.data.result;
-                this.stickerCache.set(cleanName, stickerSet);
-                return stickerSet;
+    async fetchStickerSet(cleanName) {
+        try {
+            const data = await this.callApi('getStickerSet', { name: cleanName });
+
+            if (data.ok) {
+                return data.result;
             }
 
-            console.error('Failed to get sticker set:', cleanName, response.data);
+            console.error('Failed to get sticker set:', cleanName, data);
             return null;
         } catch (error) {
             console.error('Error fetching sticker set:', cleanName, 'Error:', error.message);
@@ -72,12 +211,10 @@ class TelegramAPI {
 
     async getFileUrl(fileId) {
         try {
-            const response = await axios.get(`${this.baseUrl}/getFile`, {
-                params: { file_id: fileId }
-            });
+            const data = await this.callApi('getFile', { file_id: fileId });
 
-            if (response.data.ok) {
-                const filePath = response.data.result.file_path;
+            if (data.ok) {
+                const filePath = data.result.file_path;
                 // Return the direct download URL
                 return `${this.fileUrl}/${filePath}`;
             }
@@ -108,36 +245,43 @@ class TelegramAPI {
         return url ? { url, fileId: sticker.file_id } : null;
     }
 
-    async getAllStickerUrls(setName, useProxy = false) {
+    // Summary of a set for the pack list: title, count, sticker type and a proxied thumbnail
+    describeStickerSet(stickerSet) {
+        const stickers = stickerSet.stickers || [];
+
+        let stickerType = 'static';
+        if (stickers.length > 0 && stickers.every(s => s.is_video)) stickerType = 'video';
+        else if (stickers.length > 0 && stickers.every(s => s.is_animated)) stickerType = 'animated';
+        else if (stickers.some(s => s.is_video || s.is_animated)) stickerType = 'mixed';
+
+        // A set thumbnail has the set's own format (TGS/WEBM for animated sets), so only static
+        // sets use it directly; otherwise use the first sticker's thumbnail, which is always an image
+        const setThumb = stickerSet.thumbnail || stickerSet.thumb;
+        const stickerThumb = stickers[0] && (stickers[0].thumbnail || stickers[0].thumb);
+        const thumb = setThumb && stickerType === 'static' ? setThumb : stickerThumb || setThumb;
+
+        return {
+            title: stickerSet.title || stickerSet.name,
+            count: stickers.length,
+            stickerType,
+            thumbnail: thumb ? `/proxy/sticker?id=${this.hashUrl(null, thumb.file_id)}` : null
+        };
+    }
+
+    // Sticker metadata with proxy URLs, without any getFile calls: the proxy resolves each file when first requested
+    async getStickerList(setName) {
         const stickerSet = await this.getStickerSet(setName);
         if (!stickerSet || !stickerSet.stickers) {
             return [];
         }
 
-        // Fetch all URLs in parallel for much faster loading
-        const promises = stickerSet.stickers.map(async (sticker) => {
-            // ALWAYS get the actual file, never use thumbnails
-            const url = await this.getFileUrl(sticker.file_id);
-
-            if (url) {
-                // Use proxy URL with hash - token never leaves server
-                const hash = this.hashUrl(url, sticker.file_id);
-                const displayUrl = useProxy ? `/proxy/sticker?id=${hash}` : url;
-
-                return {
-                    url: displayUrl,
-                    realUrl: url,
-                    emoji: sticker.emoji,
-                    isAnimated: sticker.is_animated,
-                    isVideo: sticker.is_video,
-                    fileId: sticker.file_id
-                };
-            }
-            return null;
-        });
-
-        const results = await Promise.all(promises);
-        return results.filter(r => r !== null);
+        return stickerSet.stickers.map(sticker => ({
+            url: `/proxy/sticker?id=${this.hashUrl(null, sticker.file_id)}`,
+            emoji: sticker.emoji,
+            isAnimated: sticker.is_animated,
+            isVideo: sticker.is_video,
+            fileId: sticker.file_id
+        }));
     }
 }
 
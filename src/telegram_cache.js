@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+// Telegram sticker-set metadata and the proxy hash -> file_id map, stored in data/telegram-cache.json.
+// File URLs are not stored: they contain the bot token and expire, so they are re-resolved from file_id.
+// File entries are kept only while a cached set still contains the file.
+class TelegramCache {
+    constructor() {
+        this.dataFile = path.join(__dirname, '..', 'data', 'telegram-cache.json');
+        this.ttlMs = parseFloat(process.env.TELEGRAM_CACHE_TTL_HOURS || '24') * 60 * 60 * 1000;
+        this.saveTimer = null;
+        this.data = this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.dataFile)) {
+                const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+                return { sets: data.sets || {}, files: data.files || {} };
+            }
+        } catch (error) {
+            console.error('Error reading Telegram cache:', error);
+        }
+        return { sets: {}, files: {} };
+    }
+
+    // Writes are batched: a pack load adds one file entry per sticker
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 1000);
+    }
+
+    // Written to a temp file and renamed over the old one, so a crash never leaves a half-written cache
+    save() {
+        this.pruneFiles();
+        const tempFile = `${this.dataFile}.tmp-${process.pid}`;
+        try {
+            const fd = fs.openSync(tempFile, 'w');
+            try {
+                fs.writeFileSync(fd, JSON.stringify(this.data, null, 2));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempFile, this.dataFile);
+        } catch (error) {
+            console.error('Error writing Telegram cache:', error);
+            fs.rmSync(tempFile, { force: true });
+        }
+    }
+
+    // Drop file entries whose file_id is no longer in a cached set (removed packs, stickers gone after a refresh)
+    pruneFiles() {
+        const used = new Set();
+        for (const { set } of Object.values(this.data.sets)) {
+            for (const thumb of [set.thumbnail, set.thumb]) {
+                if (thumb) used.add(thumb.file_id);
+            }
+            for (const sticker of set.stickers || []) {
+                used.add(sticker.file_id);
+                for (const thumb of [sticker.thumbnail, sticker.thumb]) {
+                    if (thumb) used.add(thumb.file_id);
+                }
+            }
+        }
+
+        for (const [hash, fileId] of Object.entries(this.data.files)) {
+            if (!used.has(fileId)) delete this.data.files[hash];
+        }
+    }
+
+    // { set, fetchedAt } or null
+    getSet(setName) {
+        return this.data.sets[setName] || null;
+    }
+
+    isStale(setName) {
+        const entry = this.data.sets[setName];
+        return !entry || Date.now() - entry.fetchedAt > this.ttlMs;
+    }
+
+    setSet(setName, stickerSet) {
+        this.data.sets[setName] = { set: stickerSet, fetchedAt: Date.now() };
+        this.scheduleSave();
+        return this.data.sets[setName];
+    }
+
+    deleteSet(setName) {
+        delete this.data.sets[setName];
+        this.scheduleSave();
+    }
+
+    getFileId(hash) {
+        return this.data.files[hash] || null;
+    }
+
+    setFileId(hash, fileId) {
+        if (this.data.files[hash] === fileId) return;
+        this.data.files[hash] = fileId;
+        this.scheduleSave();
+    }
+}
+
+module.exports = TelegramCache;
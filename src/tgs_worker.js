@@ -0,0 +1,99 @@
+// Worker thread that renders TGS (gzipped Lottie JSON) into PNG frames.
+// Each worker owns its own JSDOM/canvas globals, so renders never share state with
+// the bot's event loop or with each other. Jobs run one at a time per worker.
+const { parentPort } = require('worker_threads');
+const fs = require('fs').promises;
+const path = require('path');
+const pako = require('pako');
+const { createCanvas } = require('@napi-rs/canvas');
+const { JSDOM } = require('jsdom');
+
+// Setup minimal DOM for lottie-web (worker-local globals)
+const dom = new JSDOM('<!DOCTYPE html><html><body><div id="lottie"></div></body></html>');
+global.window = dom.window;
+global.document = dom.window.document;
+global.navigator = dom.window.navigator;
+global.requestAnimationFrame = (cb) => setTimeout(cb, 0);
+global.cancelAnimationFrame = (id) => clearTimeout(id);
+
+// Per-job render state, read by the patched DOM below
+let size = 256;
+let mainCanvas = null;
+
+// Patch createElement to return @napi-rs/canvas for <canvas> tags
+const origCreateElement = dom.window.document.createElement.bind(dom.window.document);
+dom.window.document.createElement = function(tag) {
+    if (tag === 'canvas') {
+        const c = createCanvas(size, size);
+        c.style = {};
+        c.setAttribute = function(k, v) {
+            if (k === 'width') c.width = parseInt(v);
+            if (k === 'height') c.height = parseInt(v);
+        };
+        c.getAttribute = function(k) {
+            if (k === 'width') return String(c.width);
+            if (k === 'height') return String(c.height);
+            return null;
+        };
+        if (!mainCanvas) mainCanvas = c;
+        return c;
+    }
+    return origCreateElement(tag);
+};
+
+// Loaded once per worker, after the DOM globals exist
+const lottie = require('lottie-web/build/player/lottie_canvas.js');
+
+const container = dom.window.document.getElementById('lottie');
+container.getBoundingClientRect = () => ({ width: size, height: size, top: 0, left: 0 });
+container.appendChild = function(child) { mainCanvas = child; };
+container.removeChild = function() {};
+
+async function render({ tgsData, framesDir, targetFps, maxFrames, frameSize }) {
+    // Decompress TGS (gzipped Lottie JSON)
+    const json = pako.ungzip(new Uint8Array(tgsData), { to: 'string' });
+    const animData = JSON.parse(json);
+
+    size = frameSize;
+    mainCanvas = null;
+    Object.defineProperty(container, 'offsetWidth', { value: size, configurable: true });
+    Object.defineProperty(container, 'offsetHeight', { value: size, configurable: true });
+
+    const anim = lottie.loadAnimation({
+        container,
+        renderer: 'canvas',
+        loop: false,
+        autoplay: false,
+        animationData: animData
+    });
+
+    try {
+        const step = Math.max(1, Math.round((animData.fr || 60) / targetFps));
+        const frameCount = Math.ceil(anim.totalFrames / step);
+        if (!Number.isFinite(frameCount) || frameCount > maxFrames) {
+            throw new Error(`Animation has ${frameCount} frames, limit is ${maxFrames}`);
+        }
+
+        await fs.mkdir(framesDir, { recursive: true });
+
+        let frameNum = 0;
+        for (let i = 0; i < anim.totalFrames; i += step) {
+            anim.goToAndStop(i, true);
+            const buf = mainCanvas.toBuffer('image/png');
+            await fs.writeFile(path.join(framesDir, `frame_${String(frameNum).padStart(4, '0')}.png`), buf);
+            frameNum++;
+        }
+        return frameNum;
+    } finally {
+        anim.destroy();
+    }
+}
+
+parentPort.on('message', async (job) => {
+    try {
+        const frameCount = await render(job);
+        parentPort.postMessage({ jobId: job.jobId, frameCount });
+    } catch (error) {
+        parentPort.postMessage({ jobId: job.jobId, error: error.message });
+    }
+});
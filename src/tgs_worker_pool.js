@@ -0,0 +1,93 @@
+const { Worker } = require('worker_threads');
+const path = require('path');
+
+// Pool of tgs_worker.js threads; each job has a timeout after which its worker is killed and replaced
+class TgsWorkerPool {
+    constructor(options = {}) {
+        this.size = options.size || parseInt(process.env.TGS_WORKERS || '2');
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.TGS_RENDER_TIMEOUT_MS || '60000');
+        this.maxFrames = options.maxFrames || parseInt(process.env.TGS_MAX_FRAMES || '600');
+        this.workerScript = path.join(__dirname, 'tgs_worker.js');
+        this.workers = new Set();
+        this.idle = [];
+        this.pending = []; // jobs waiting for a worker
+        this.nextJobId = 1;
+    }
+
+    // Render frames for one TGS file into framesDir, resolves with the number of frames written
+    render(tgsData, framesDir, { targetFps, frameSize }) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({
+                jobId: this.nextJobId++,
+                message: { tgsData, framesDir, targetFps, frameSize, maxFrames: this.maxFrames },
+                resolve,
+                reject
+            });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.pending.length > 0) {
+            let worker = this.idle.pop();
+            if (!worker) {
+                if (this.workers.size >= this.size) return;
+                worker = this.spawn();
+            }
+            this.runJob(worker, this.pending.shift());
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(this.workerScript);
+        this.workers.add(worker);
+        worker.once('exit', () => {
+            this.workers.delete(worker);
+            this.idle = this.idle.filter(w => w !== worker);
+            if (worker.currentJob) {
+                this.finishJob(worker, new Error('TGS worker exited unexpectedly'));
+            }
+            this.dispatch();
+        });
+        worker.on('error', (error) => {
+            console.error('TGS worker error:', error.message);
+        });
+        worker.on('message', (result) => {
+            const job = worker.currentJob;
+            if (!job || result.jobId !== job.jobId) return;
+            this.finishJob(worker, result.error ? new Error(result.error) : null, result.frameCount);
+            this.idle.push(worker);
+            this.dispatch();
+        });
+        return worker;
+    }
+
+    runJob(worker, job) {
+        worker.currentJob = job;
+        job.timer = setTimeout(() => {
+            console.error(`TGS render timed out after ${this.timeoutMs}ms, restarting worker`);
+            this.finishJob(worker, new Error(`TGS render timed out after ${this.timeoutMs}ms`));
+            worker.terminate();
+        }, this.timeoutMs);
+
+        const { tgsData } = job.message;
+        worker.postMessage({ jobId: job.jobId, ...job.message }, [tgsData]);
+    }
+
+    finishJob(worker, error, frameCount) {
+        const job = worker.currentJob;
+        if (!job) return;
+        worker.currentJob = null;
+        clearTimeout(job.timer);
+        if (error) job.reject(error);
+        else job.resolve(frameCount);
+    }
+
+    async destroy() {
+        this.pending = [];
+        this.idle = [];
+        await Promise.all([...this.workers].map(w => w.terminate()));
+    }
+}
+
+module.exports = TgsWorkerPool;
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-user favorites and recently sent stickers, stored in data/user-stickers.json
+class UserStickers {
+    constructor() {
+        this.dataFile = path.join(__dirname, '..', 'data', 'user-stickers.json');
+        this.recentLimit = parseInt(process.env.RECENT_STICKERS_LIMIT || '24');
+    }
+
+    // Throws if the file exists but can't be parsed
+    read() {
+        if (!fs.existsSync(this.dataFile)) {
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+    }
+
+    // For lookups: an unreadable file shows up as no favorites and no history
+    load() {
+        try {
+            return this.read();
+        } catch (error) {
+            console.error('Error reading user stickers:', error);
+            return {};
+        }
+    }
+
+    // Read the data for a change. An unreadable file is never saved over, that would
+    // replace every user's favorites and history with the one entry being changed.
+    loadForUpdate() {
+        try {
+            return this.read();
+        } catch (error) {
+            console.error(`[STICKERS] ${this.dataFile} is unreadable, not saving over it:`, error.message);
+            throw new Error('User stickers file is unreadable');
+        }
+    }
+
+    // Written to a temp file and renamed over the old one, so a crash never leaves a half-written file
+    save(data) {
+        const tempFile = `${this.dataFile}.tmp-${process.pid}`;
+        try {
+            const fd = fs.openSync(tempFile, 'w');
+            try {
+                fs.writeFileSync(fd, JSON.stringify(data, null, 2));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempFile, this.dataFile);
+        } catch (error) {
+            fs.rmSync(tempFile, { force: true });
+            throw error;
+        }
+    }
+
+    getUser(data, userId) {
+        if (!data[userId]) {
+            data[userId] = { favorites: [], recent: [] };
+        }
+        return data[userId];
+    }
+
+    getFavorites(userId) {
+        const data = this.load();
+        return data[userId] ? data[userId].favorites : [];
+    }
+
+    getRecent(userId) {
+        const data = this.load();
+        return data[userId] ? data[userId].recent : [];
+    }
+
+    addFavorite(userId, packName, stickerIndex, fileId = null) {
+        const data = this.loadForUpdate();
+        const user = this.getUser(data, userId);
+
+        if (!user.favorites.some(f => f.packName === packName && f.stickerIndex === stickerIndex)) {
+            user.favorites.push({ packName, stickerIndex, fileId, added: new Date().toISOString() });
+            this.save(data);
+        }
+        return user.favorites;
+    }
+
+    removeFavorite(userId, packName, stickerIndex, fileId = null) {
+        const data = this.loadForUpdate();
+        const user = this.getUser(data, userId);
+
+        const before = user.favorites.length;
+        user.favorites = user.favorites.filter(f => !(f.packName === packName &&
+            (f.stickerIndex === stickerIndex || (fileId && f.fileId === fileId))));
+        if (user.favorites.length !== before) {
+            this.save(data);
+        }
+        return user.favorites;
+    }
+
+    // Move the sticker to the front of the user's history, trimmed to recentLimit
+    recordSend(userId, packName, stickerIndex, fileId = null) {
+        const data = this.loadForUpdate();
+        const user = this.getUser(data, userId);
+
+        user.recent = user.recent.filter(r => !(r.packName === packName && r.stickerIndex === stickerIndex));
+        user.recent.unshift({ packName, stickerIndex, fileId, sent: new Date().toISOString() });
+        user.recent = user.recent.slice(0, this.recentLimit);
+
+        this.save(data);
+    }
+
+    // Remove every entry pointing at a pack (e.g. when the pack is deleted).
+    // Follows a pack change that already happened, so failures are logged, not thrown.
+    removePack(packName) {
+        try {
+            const data = this.loadForUpdate();
+            let changed = false;
+            for (const user of Object.values(data)) {
+                const favorites = user.favorites.filter(f => f.packName !== packName);
+                const recent = user.recent.filter(r => r.packName !== packName);
+                if (favorites.length !== user.favorites.length || recent.length !== user.recent.length) {
+                    user.favorites = favorites;
+                    user.recent = recent;
+                    changed = true;
+                }
+            }
+            if (changed) {
+                this.save(data);
+            }
+        } catch (error) {
+            console.error(`[STICKERS] Failed to remove favorites and history of ${packName}:`, error.message);
+        }
+    }
+
+    // Point favorites and recent entries of a renamed pack at its new name (failures are logged, like removePack)
+    renamePack(oldName, newName) {
+        try {
+            const data = this.loadForUpdate();
+            let changed = false;
+            for (const user of Object.values(data)) {
+                for (const entry of [...user.favorites, ...user.recent]) {
+                    if (entry.packName === oldName) {
+                        entry.packName = newName;
+                        changed = true;
+                    }
+                }
+            }
+            if (changed) {
+                this.save(data);
+            }
+        } catch (error) {
+            console.error(`[STICKERS] Failed to rename ${oldName} to ${newName} in favorites and history:`, error.message);
+        }
+    }
+}
+
+module.exports = UserStickers;
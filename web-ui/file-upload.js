@@ -2,6 +2,14 @@ const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const { FORMATS } = require('../src/animated_encoder');
+
+// Converted stickers are GIF, WebP (also used for static stickers) or MP4
+function contentTypeFor(filePath) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    const format = Object.values(FORMATS).find(f => f.ext === ext);
+    return format ? format.contentType : 'application/octet-stream';
+}
 
 async function uploadFile(serverUrl, botToken, channelId, filePath, filename) {
     try {
@@ -11,7 +19,7 @@ async function uploadFile(serverUrl, botToken, channelId, filePath, filename) {
         const form = new FormData();
         form.append('files', fileStream, {
             filename: filename || path.basename(filePath),
-            contentType: 'image/gif'
+            contentType: contentTypeFor(filePath)
         });
         form.append('channel_id', channelId);
 
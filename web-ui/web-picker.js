@@ -1,6 +1,121 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const { uploadFile, sendFileAsPost } = require('./file-upload');
+const UserStickers = require('../src/user_stickers');
+const { FORMATS, DEFAULT_FORMAT } = require('../src/animated_encoder');
+const { SIZE_PRESETS, DEFAULT_SIZE } = require('../src/sticker_sizes');
+const PackPrewarmer = require('../src/pack_prewarmer');
+const { createBundle, validateBundle, applyBundle } = require('../src/pack_bundle');
+const PackRepository = require('../src/pack_repository');
+const PackAdmins = require('../src/pack_admins');
+const ChannelTeams = require('../src/channel_teams');
+const PickerSessions = require('../src/picker_sessions');
+const SendLimiter = require('../src/send_limiter');
+const { normalizeScope, isAvailable } = require('../src/pack_scope');
+const PackApprovals = require('../src/pack_approvals');
+const AuditLog = require('../src/audit_log');
+const { validatePackName } = require('../src/pack_names');
+
+// Telegram sets always shown in the picker, before custom packs
+const DEFAULT_PACKS = (process.env.DEFAULT_PACKS || 'memezey,pepetop,HotCherry')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name);
+
+// Telegram set name from a pack URL (e.g., https://t.me/addstickers/PackName -> PackName), or null
+function parsePackUrl(packUrl) {
+    const urlMatch = String(packUrl).match(/(?:t\.me\/addstickers\/|telegram\.me\/addstickers\/)([^\/\?\#]+)/i);
+    return urlMatch ? urlMatch[1] : null;
+}
+
+// Error carrying an HTTP status, thrown inside pack mutations to abort them
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Reply to "/sticker help"
+const SLASH_USAGE = [
+    '**Sticker commands**',
+    '- `/sticker` - Open the sticker picker',
+    '- `/sticker <pack> <number>` - Send a sticker directly, e.g. `/sticker memezey 3` (numbers start at 1)',
+    '- `/sticker <pack> <emoji>` - Send the sticker tagged with that emoji (type the emoji itself, `:shortcodes:` don\'t match Telegram\'s emoji tags)',
+    '- `/sticker limit` - Show the channel\'s send limit (channel admins: `/sticker limit <number|off>`)'
+].join('\n');
+
+// Example token from older .env.example files, rejected at startup
+const PLACEHOLDER_SLASH_TOKEN = 'your_slash_command_token_here';
+
+const INVALID_PACK_URL = 'Invalid Telegram sticker pack URL. Expected format: https://t.me/addstickers/PackName';
+
+// Page size limits for /api/pack/:name
+const PACK_PAGE_SIZE = parseInt(process.env.PACK_PAGE_SIZE || '40');
+const PACK_PAGE_MAX = 200;
+
+// Most audit entries one /api/audit-log request returns
+const AUDIT_QUERY_MAX = 1000;
+
+// Fields safe to send to the browser (no file URLs with token)
+function toPublicSticker(sticker) {
+    return {
+        url: sticker.url,
+        emoji: sticker.emoji,
+        isAnimated: sticker.isAnimated,
+        isVideo: sticker.isVideo
+    };
+}
+
+// Drop variation selectors so "❤" and "❤️" match
+function normalizeEmoji(emoji) {
+    return emoji.replace(/\uFE0F/g, '');
+}
+
+// Longest pack name that the words start with (names may contain spaces), or null.
+// Returns { packName, rest } with the words after the name.
+function matchPackPrefix(words, packNames) {
+    const byName = new Map(packNames.map(name => [name.toLowerCase().split(/\s+/).join(' '), name]));
+    for (let count = words.length; count > 0; count--) {
+        const packName = byName.get(words.slice(0, count).join(' ').toLowerCase());
+        if (packName) {
+            return { packName, rest: words.slice(count) };
+        }
+    }
+    return null;
+}
+
+// Pack names that look like what the user typed (substring or small edit distance)
+function findCloseMatches(input, candidates, limit = 5) {
+    const needle = input.toLowerCase();
+    const scored = candidates.map(name => {
+        const hay = name.toLowerCase();
+        const score = hay.includes(needle) || needle.includes(hay) ? 0 : editDistance(needle, hay);
+        return { name, score };
+    });
+    const maxDistance = Math.max(2, Math.floor(needle.length / 3));
+    return scored
+        .filter(s => s.score <= maxDistance)
+        .sort((a, b) => a.score - b.score)
+        .slice(0, limit)
+        .map(s => s.name);
+}
+
+function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(
+                prev[j] + 1,
+                curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
 
 class WebPicker {
     constructor(bot, telegram, port = 3333, webmHandler = null, tgsHandler = null, staticHandler = null) {
@@ -11,8 +126,33 @@ class WebPicker {
         this.tgsHandler = tgsHandler;
         this.staticHandler = staticHandler;
         this.app = express();
-        this.sessions = new Map();
+        this.sessions = new PickerSessions();
         this.stickerCache = new Map(); // Cache loaded stickers
+        this.packVersions = new Map(); // packName -> fetchedAt of the Telegram set stickerCache was built from
+        this.emojiIndex = new Map(); // packName -> Map(emoji -> sticker indices)
+        this.userStickers = new UserStickers();
+        this.packRepository = new PackRepository();
+        this.packAdmins = new PackAdmins(bot.serverUrl, bot.botToken);
+        this.channelTeams = new ChannelTeams(bot.serverUrl, bot.botToken);
+        this.sendLimiter = new SendLimiter();
+        // Mattermost must be able to reach this URL for the approval buttons
+        const actionsBase = process.env.MM_ACTIONS_URL || `${process.env.DOMAIN || 'http://localhost'}:${port}`;
+        this.packApprovals = new PackApprovals(bot, `${actionsBase}/api/pack-approval`);
+        this.auditLog = new AuditLog();
+        this.prewarmer = new PackPrewarmer((sticker, options) => this.prewarmSticker(sticker, options));
+        // Slash command tokens (one per team), comma-separated in MM_SLASH_TOKENS
+        this.slashTokens = (process.env.MM_SLASH_TOKENS || '')
+            .split(',')
+            .map(t => t.trim())
+            .filter(t => t);
+        // The example value from .env.example is public, so it must never be accepted
+        if (this.slashTokens.includes(PLACEHOLDER_SLASH_TOKEN)) {
+            console.error(`❌ MM_SLASH_TOKENS still contains the example value "${PLACEHOLDER_SLASH_TOKEN}" - ignoring it, set the token Mattermost generated`);
+            this.slashTokens = this.slashTokens.filter(t => t !== PLACEHOLDER_SLASH_TOKEN);
+        }
+        if (this.slashTokens.length === 0) {
+            console.warn('⚠️ MM_SLASH_TOKENS not set - /api/slash will reject all requests');
+        }
         this.setupRoutes();
     }
 
@@ -33,14 +173,18 @@ class WebPicker {
             if (!hash) return res.status(400).send('Missing id parameter');
 
             let url = await this.telegram.getUrlFromHash(hash);
-            if (!url) return res.status(404).send('Sticker not found');
+            if (!url) {
+                // Known sticker whose file Telegram couldn't resolve right now: the picker retries
+                if (this.telegram.knowsHash(hash)) return res.status(503).send('Sticker not available yet');
+                return res.status(404).send('Sticker not found');
+            }
 
             const axios = require('axios');
             for (let attempt = 0; attempt < 2; attempt++) {
                 try {
                     const response = await axios({ method: 'GET', url, responseType: 'arraybuffer' });
-                    const ext = ['.webp', '.png', '.webm', '.tgs'].find(e => url.includes(e));
-                    const types = { '.webp': 'image/webp', '.png': 'image/png', '.webm': 'video/webm' };
+                    const ext = ['.webp', '.png', '.jpg', '.webm', '.tgs'].find(e => url.includes(e));
+                    const types = { '.webp': 'image/webp', '.png': 'image/png', '.jpg': 'image/jpeg', '.webm': 'video/webm' };
                     res.set('Content-Type', types[ext] || 'application/octet-stream');
                     res.set('Cache-Control', 'public, max-age=3600');
                     return res.send(response.data);
@@ -63,341 +207,1343 @@ class WebPicker {
             });
         }
 
-        // Get sticker packs
-        this.app.get('/api/packs', (req, res) => {
-            const defaultPacks = ['memezey', 'pepetop', 'HotCherry'];
-            const customPacks = this.getCustomPacks().map(pack => pack.name);
-            const allPacks = [...defaultPacks, ...customPacks];
-            res.json(allPacks);
+        // Output choices for the picker's send options
+        this.app.get('/api/send-options', (req, res) => {
+            res.json({
+                formats: Object.keys(FORMATS),
+                defaultFormat: DEFAULT_FORMAT,
+                sizes: Object.keys(SIZE_PRESETS),
+                defaultSize: DEFAULT_SIZE
+            });
+        });
+
+        // Get the packs available in the session's channel with title, count, type and thumbnail.
+        // ?all=1 lets pack admins see every pack, including hidden and out-of-scope ones, with their scope.
+        this.app.get('/api/packs', async (req, res) => {
+            const session = this.sessions.get(req.query.session);
+            const showAll = req.query.all === '1' && await this.isSessionPackAdmin(session);
+            const packNames = showAll ? this.getPackNames(true) : this.getAvailablePackNames(session);
+
+            res.json(await Promise.all(packNames.map(async (name) => {
+                const info = await this.getPackInfo(name);
+                return showAll ? { ...info, scope: this.getPackScope(name) } : info;
+            })));
         });
 
-        // Get stickers from a pack
+        // Get one page of a pack's stickers (?offset=&limit=); file URLs are resolved by the proxy on demand
         this.app.get('/api/pack/:name', async (req, res) => {
+            const offset = Math.max(0, parseInt(req.query.offset) || 0);
+            const limit = Math.min(PACK_PAGE_MAX, Math.max(1, parseInt(req.query.limit) || PACK_PAGE_SIZE));
+
+            const session = this.sessions.get(req.query.session);
+            if (!this.getAvailablePackNames(session).includes(req.params.name)) {
+                return res.status(404).json({ error: 'Pack not found' });
+            }
+
+            const stickers = await this.loadPackStickers(req.params.name);
+            const page = stickers.slice(offset, offset + limit);
+            const converted = await this.getConvertedFlags(page);
+
+            // Return only safe fields (no file URLs with token)
+            res.json({
+                stickers: page.map((s, i) => ({ ...toPublicSticker(s), index: offset + i, converted: converted[i] })),
+                total: stickers.length,
+                offset,
+                limit,
+                hasMore: offset + page.length < stickers.length
+            });
+        });
+
+        // Pre-warm progress and per-sticker conversion state of a pack
+        this.app.get('/api/pack/:name/status', async (req, res) => {
             const packName = req.params.name;
+            const session = this.sessions.get(req.query.session);
+            if (!this.getAvailablePackNames(session).includes(packName)) {
+                return res.status(404).json({ error: 'Pack not found' });
+            }
 
-            // Check cache first
-            if (this.stickerCache.has(packName)) {
-                return res.json(this.stickerCache.get(packName));
+            const stickers = await this.loadPackStickers(packName);
+            const converted = await this.getConvertedFlags(stickers);
+            const job = this.prewarmer.getStatus(packName);
+
+            res.json({
+                state: job ? job.state : 'idle',
+                total: stickers.length,
+                cached: converted.filter(c => c).length,
+                job,
+                converted
+            });
+        });
+
+        // Convert every sticker of a pack in the background (admin action)
+        this.app.post('/api/prewarm-pack', async (req, res) => {
+            const { packName } = req.body;
+
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+            if (!this.getPackNames().includes(packName)) {
+                return res.status(404).json({ error: 'Pack not found' });
             }
 
-            // Check if it's a custom pack and get the telegram name
-            let telegramPackName = packName;
-            const customPacks = this.getCustomPacks();
-            const customPack = customPacks.find(pack => pack.name === packName);
-            if (customPack) {
-                telegramPackName = customPack.telegramName;
+            const job = await this.prewarmPack(packName);
+            if (!job) {
+                return res.status(502).json({ error: 'Failed to load pack from Telegram' });
             }
+            res.json(job);
+        });
 
-            const stickers = await this.telegram.getAllStickerUrls(telegramPackName, true); // useProxy=true
+        // Refetch a pack from Telegram now, bypassing the metadata cache (admin action)
+        this.app.post('/api/refresh-pack', async (req, res) => {
+            const { packName } = req.body;
 
-            // Cache the result
-            if (stickers.length > 0) {
-                this.stickerCache.set(packName, stickers);
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+            if (!this.getPackNames().includes(packName)) {
+                return res.status(404).json({ error: 'Pack not found' });
             }
 
-            // Return only safe fields (no realUrl with token)
-            res.json(stickers.map(s => ({
-                url: s.url,
-                emoji: s.emoji,
-                isAnimated: s.isAnimated,
-                isVideo: s.isVideo
-            })));
+            const stickers = await this.refreshPack(packName);
+            if (!stickers) {
+                return res.status(502).json({ error: 'Failed to load pack from Telegram' });
+            }
+            res.json({ success: true, count: stickers.length });
         });
 
-        // Send sticker to channel
-        this.app.post('/api/send', async (req, res) => {
+        // Search stickers by emoji across all packs
+        this.app.get('/api/search', async (req, res) => {
+            const emoji = normalizeEmoji(String(req.query.emoji || '').trim());
+            if (!emoji) {
+                return res.status(400).json({ error: 'Missing emoji parameter' });
+            }
+
+            // Index packs that haven't been loaded yet
+            const packNames = this.getAvailablePackNames(this.sessions.get(req.query.session));
+            await Promise.all(packNames.map(name => this.loadPackStickers(name)));
+
+            const results = [];
+            for (const packName of packNames) {
+                const stickers = this.stickerCache.get(packName) || [];
+                const indices = this.emojiIndex.get(packName)?.get(emoji) || [];
+                for (const index of indices) {
+                    results.push({ ...toPublicSticker(stickers[index]), packName, index });
+                }
+            }
+
+            res.json(results);
+        });
+
+        // Favorites of the session's user
+        this.app.get('/api/favorites', async (req, res) => {
+            const session = this.sessions.get(req.query.session);
+            if (!session) {
+                return res.status(400).json({ error: 'Invalid session' });
+            }
+            res.json(await this.resolveUserStickers(this.userStickers.getFavorites(session.userId), session));
+        });
+
+        this.app.post('/api/favorites', async (req, res) => {
             const { packName, stickerIndex, sessionId } = req.body;
+            const session = this.sessions.get(sessionId);
+            if (!session) {
+                return res.status(400).json({ error: 'Invalid session' });
+            }
+            if (!this.getAvailablePackNames(session).includes(packName) || !Number.isInteger(stickerIndex)) {
+                return res.status(400).json({ error: 'Unknown sticker' });
+            }
+
+            const stickers = await this.loadPackStickers(packName);
+            const fileId = stickers[stickerIndex] ? stickers[stickerIndex].fileId : null;
+            try {
+                this.userStickers.addFavorite(session.userId, packName, stickerIndex, fileId);
+            } catch (err) {
+                console.error('Failed to save favorite:', err.message);
+                return res.status(500).json({ error: 'Failed to save favorite' });
+            }
+            res.json({ success: true });
+        });
 
+        this.app.delete('/api/favorites', (req, res) => {
+            const { packName, stickerIndex, sessionId } = req.body;
             const session = this.sessions.get(sessionId);
             if (!session) {
                 return res.status(400).json({ error: 'Invalid session' });
             }
+            const cached = this.stickerCache.get(packName);
+            const fileId = cached && cached[stickerIndex] ? cached[stickerIndex].fileId : null;
+            try {
+                this.userStickers.removeFavorite(session.userId, packName, stickerIndex, fileId);
+            } catch (err) {
+                console.error('Failed to remove favorite:', err.message);
+                return res.status(500).json({ error: 'Failed to remove favorite' });
+            }
+            res.json({ success: true });
+        });
+
+        // Recently sent stickers of the session's user
+        this.app.get('/api/recent', async (req, res) => {
+            const session = this.sessions.get(req.query.session);
+            if (!session) {
+                return res.status(400).json({ error: 'Invalid session' });
+            }
+            res.json(await this.resolveUserStickers(this.userStickers.getRecent(session.userId), session));
+        });
+
+        // Send sticker to channel
+        this.app.post('/api/send', async (req, res) => {
+            const { packName, stickerIndex, sessionId, format, size } = req.body;
 
-            // Get cached sticker data to check for thumbnail URL
-            const cachedStickers = this.stickerCache.get(packName);
-            const stickerData = cachedStickers && cachedStickers[stickerIndex];
+            const check = this.sessions.check(sessionId, true);
+            if (check.error === 'expired') {
+                return res.status(410).json({ error: 'session_expired', message: 'Session expired. Please run /sticker again.' });
+            }
+            if (check.error === 'quota') {
+                return res.status(410).json({ error: 'session_expired', message: `This picker link has sent its ${this.sessions.maxSends} stickers. Please run /sticker again.` });
+            }
+            if (check.error) {
+                return res.status(400).json({ error: 'Invalid session' });
+            }
+            const session = check.session;
 
-            // Check if it's a custom pack and get the telegram name
-            let telegramPackName = packName;
-            const customPacks = this.getCustomPacks();
-            const customPack = customPacks.find(pack => pack.name === packName);
-            if (customPack) {
-                telegramPackName = customPack.telegramName;
+            // Also stops sends of out-of-scope packs by calling the API directly
+            if (!this.getAvailablePackNames(session).includes(packName)) {
+                return res.status(403).json({ error: 'This pack is not available in this channel' });
+            }
+            if (!Number.isInteger(stickerIndex) || stickerIndex < 0) {
+                return res.status(400).json({ error: 'stickerIndex must be a non-negative integer' });
             }
 
-            // Get fresh sticker info (URL + file_id for stable caching)
-            const stickerInfo = await this.telegram.getStickerInfo(telegramPackName, stickerIndex);
-            if (!stickerInfo) {
+            // Optional per-send override of the animated output format
+            if (format && !FORMATS[format]) {
+                return res.status(400).json({ error: `Unknown format, expected one of: ${Object.keys(FORMATS).join(', ')}` });
+            }
+            if (size && !SIZE_PRESETS[size]) {
+                return res.status(400).json({ error: `Unknown size, expected one of: ${Object.keys(SIZE_PRESETS).join(', ')}` });
+            }
+
+            const limit = this.sendLimiter.take(session.userId, session.channelId);
+            if (!limit.allowed) {
+                console.warn(`[LIMIT] ${limit.scope} limit hit by ${session.username} in ${session.channelId}`);
+                res.set('Retry-After', String(limit.retryAfter));
+                return res.status(429).json({ error: 'rate_limited', scope: limit.scope, retryAfter: limit.retryAfter, message: limit.message });
+            }
+
+            // Counted before delivering so parallel sends can't exceed the quota, given back if nothing was posted
+            session.sends++;
+            const result = await this.deliverSticker(session, packName, stickerIndex, { format, size });
+            if (result.status !== 'sent') {
+                session.sends--;
+            }
+            if (result.status === 'not_found') {
                 return res.status(400).json({ error: 'Failed to get sticker URL' });
             }
-            const { url: stickerUrl, fileId } = stickerInfo;
+            if (result.status === 'expired') {
+                console.log('response_url expired for session:', sessionId);
+                return res.status(410).json({ error: 'session_expired', message: 'Session expired. Please run /sticker again.' });
+            }
+            if (result.status === 'failed') {
+                // NEVER post raw Telegram URLs
+                return res.status(500).json({ error: 'Failed to convert sticker' });
+            }
+            if (result.status === 'post_failed') {
+                return res.status(502).json({ error: 'Failed to post sticker' });
+            }
 
-            // Helper to post file to Mattermost (via response_url or direct)
-            const postFile = async (fileInfo) => {
-                const fileUrl = `${this.bot.serverUrl}/api/v4/files/${fileInfo.id}`;
-                if (session.responseUrl) {
-                    if (session.responseUrlDead) {
-                        // response_url already known dead, don't waste time
-                        return { expired: true };
-                    }
-                    try {
-                        const axios = require('axios');
-                        await axios.post(session.responseUrl, {
-                            response_type: 'in_channel',
-                            text: `![sticker](${fileUrl})`
-                        });
-                    } catch (err) {
-                        console.log('response_url expired for session:', sessionId);
-                        session.responseUrlDead = true;
-                        return { expired: true };
+            try {
+                this.userStickers.recordSend(session.userId, packName, stickerIndex, result.fileId);
+            } catch (err) {
+                console.error('Failed to record recent sticker:', err.message);
+            }
+            res.json({ success: true });
+        });
+
+        // End a picker session; a pack admin can also end all sessions of a user by passing userId
+        this.app.post('/api/revoke-session', async (req, res) => {
+            const { sessionId, userId } = req.body;
+
+            if (userId) {
+                const admin = await this.requirePackAdmin(req, res);
+                if (!admin) return;
+                const revoked = this.sessions.revokeUser(userId);
+                console.log(`Revoked ${revoked} picker sessions of ${userId} (by ${admin.username})`);
+                return res.json({ success: true, revoked });
+            }
+
+            if (!this.sessions.revoke(sessionId)) {
+                return res.status(400).json({ error: 'Invalid session' });
+            }
+            res.json({ success: true, revoked: 1 });
+        });
+
+        // Slash command handler - works EVERYWHERE including DMs!
+        this.app.post('/api/slash', async (req, res) => {
+            if (!this.verifySlashToken(req)) {
+                const { user_id, user_name, channel_id, team_id } = req.body || {};
+                console.warn(`[SLASH] Rejected request with invalid token from ${req.ip}: user=${user_name || user_id || 'unknown'} team=${team_id || 'unknown'} channel=${channel_id || 'unknown'}`);
+                return res.status(401).json({
+                    response_type: 'ephemeral',
+                    text: '❌ Invalid slash command token'
+                });
+            }
+
+            const { user_name, channel_id, text, root_id } = req.body;
+            console.log(`[SLASH] from ${user_name} in ${channel_id}: "${text}" root_id: ${root_id || 'none'}`);
+
+            // "/sticker <pack> <index|emoji>" sends directly, bare "/sticker" opens the picker
+            const args = (text || '').trim().split(/\s+/).filter(a => a);
+            if (args.length === 1 && args[0].toLowerCase() === 'help') {
+                return res.json({ response_type: 'ephemeral', text: SLASH_USAGE });
+            }
+            if (args.length > 0 && args[0].toLowerCase() === 'limit') {
+                return this.handleSlashLimit(req.body, args.slice(1), res);
+            }
+            if (args.length > 0) {
+                return this.handleSlashSticker(req.body, args, res);
+            }
+
+            return res.json(await this.slashPickerResponse(req.body));
+        });
+
+        // Whether the session's user may manage packs (shows the admin buttons in the picker)
+        this.app.get('/api/admin-status', async (req, res) => {
+            const admin = await this.isSessionPackAdmin(this.sessions.get(req.query.session));
+            res.json({ admin });
+        });
+
+        // Delete custom sticker pack endpoint
+        this.app.post('/api/delete-pack', async (req, res) => {
+            const { packName } = req.body;
+
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+
+            try {
+                // Find and remove the pack
+                const removedPack = await this.packRepository.mutate((data) => {
+                    const pack = data.customPacks.find(p => p.name === packName);
+                    if (!pack) {
+                        throw httpError(404, 'Pack not found or is a default pack');
                     }
-                } else {
-                    await sendFileAsPost(this.bot.serverUrl, this.bot.botToken, session.channelId, fileInfo, '', session.rootId);
-                }
-                return { expired: false };
-            };
+                    data.customPacks = data.customPacks.filter(p => p !== pack);
+                    data.order = data.order.filter(name => name !== packName);
+                    return pack;
+                });
 
-            let gifFilePath = null;
+                // Clear from cache
+                this.clearPackState(packName);
+                this.telegram.invalidateStickerSet(removedPack.telegramName);
+                this.userStickers.removePack(packName);
 
-            // Convert animated stickers (WEBM/TGS) to GIF, use file_id for stable cache keys
-            if (stickerUrl.includes('.webm') && this.webmHandler) {
-                try {
-                    gifFilePath = await this.webmHandler.convertWebmToGif(stickerUrl, fileId);
-                } catch (err) {
-                    console.error('WEBM conversion failed:', err.message);
+                console.log(`Deleted custom pack: ${packName} (by ${admin.username})`);
+                this.auditPack(admin, 'delete', packName, { telegramName: removedPack.telegramName });
+                res.json({ success: true });
+            } catch (error) {
+                if (error.status) {
+                    return res.status(error.status).json({ error: error.message });
                 }
-            } else if (stickerUrl.includes('.tgs') && this.tgsHandler) {
-                try {
-                    gifFilePath = await this.tgsHandler.convertTgsToGif(stickerUrl, fileId);
-                } catch (err) {
-                    console.error('TGS conversion failed:', err.message);
+                console.error('Error deleting pack:', error);
+                res.status(500).json({ error: 'Failed to delete pack' });
+            }
+        });
+
+        // Rename a custom pack (admin action)
+        this.app.post('/api/rename-pack', async (req, res) => {
+            const { packName } = req.body;
+            const newName = String(req.body.newName || '').trim();
+
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+            if (!newName) {
+                return res.status(400).json({ error: 'New name is required' });
+            }
+            const invalidName = validatePackName(newName);
+            if (invalidName) {
+                return res.status(400).json({ error: invalidName });
+            }
+
+            try {
+                await this.packRepository.mutate((data) => {
+                    const pack = data.customPacks.find(p => p.name === packName);
+                    if (!pack) {
+                        throw httpError(404, 'Pack not found or is a default pack');
+                    }
+
+                    const duplicate = this.findDuplicatePack(newName, pack.telegramName, packName, data.customPacks);
+                    if (duplicate) {
+                        throw httpError(409, `Pack already exists as "${duplicate}"`);
+                    }
+
+                    pack.name = newName;
+                    data.order = data.order.map(name => name === packName ? newName : name);
+                });
+            } catch (error) {
+                if (error.status) {
+                    return res.status(error.status).json({ error: error.message });
                 }
+                console.error('Error renaming pack:', error);
+                return res.status(500).json({ error: 'Failed to rename pack' });
             }
 
-            // If we got a GIF, upload and send it
-            if (gifFilePath) {
-                const fileInfo = await uploadFile(this.bot.serverUrl, this.bot.botToken, session.channelId, gifFilePath, `sticker_${packName}_${stickerIndex}.gif`);
-                const result = await postFile(fileInfo);
-                if (result.expired) {
-                    return res.status(410).json({ error: 'session_expired', message: 'Session expired. Please run /sticker again.' });
+            // Move everything keyed by the pack name
+            for (const map of [this.stickerCache, this.packVersions, this.emojiIndex]) {
+                if (map.has(packName)) {
+                    map.set(newName, map.get(packName));
+                    map.delete(packName);
                 }
-                console.log(`Sent animated GIF: ${packName}_${stickerIndex}`);
-                return res.json({ success: true });
             }
+            this.prewarmer.rename(packName, newName);
+            this.userStickers.renamePack(packName, newName);
 
-            // Static images: resize and upload
-            if (this.staticHandler && !stickerUrl.includes('.tgs')) {
-                try {
-                    const resizedPath = await this.staticHandler.resizeStaticImage(stickerUrl, fileId);
-                    const fileInfo = await uploadFile(this.bot.serverUrl, this.bot.botToken, session.channelId, resizedPath, `sticker_${packName}_${stickerIndex}.webp`);
-                    const result = await postFile(fileInfo);
-                    if (result.expired) {
-                        return res.status(410).json({ error: 'session_expired', message: 'Session expired. Please run /sticker again.' });
+            console.log(`Renamed custom pack: ${packName} -> ${newName} (by ${admin.username})`);
+            this.auditPack(admin, 'rename', newName, { previousName: packName });
+            res.json({ success: true, name: newName });
+        });
+
+        // Point a custom pack at a different Telegram set (admin action)
+        this.app.post('/api/update-pack-source', async (req, res) => {
+            const { packName, packUrl } = req.body;
+
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+
+            const telegramPackName = parsePackUrl(packUrl || '');
+            if (!telegramPackName) {
+                return res.status(400).json({ error: INVALID_PACK_URL });
+            }
+
+            const check = await this.checkTelegramPack(telegramPackName);
+            if (check.error) {
+                return res.status(check.status).json({ error: check.error });
+            }
+
+            const { title, stickerType, count } = this.telegram.describeStickerSet(check.stickerSet);
+            let oldSource;
+            try {
+                // Checked against the stored packs as they are after the Telegram round-trip
+                oldSource = await this.packRepository.mutate((data) => {
+                    const pack = data.customPacks.find(p => p.name === packName);
+                    if (!pack) {
+                        throw httpError(404, 'Pack not found or is a default pack');
                     }
-                    console.log(`Sent resized static: ${packName}_${stickerIndex}`);
-                    return res.json({ success: true });
-                } catch (err) {
-                    console.error('Static resize failed:', err.message);
+
+                    const duplicate = this.findDuplicatePack(packName, telegramPackName, packName, data.customPacks);
+                    if (duplicate) {
+                        throw httpError(409, `Pack already exists as "${duplicate}"`);
+                    }
+
+                    const previous = pack.telegramName;
+                    Object.assign(pack, { telegramName: telegramPackName, title, stickerType, stickerCount: count });
+                    return previous;
+                });
+            } catch (error) {
+                if (error.status) {
+                    return res.status(error.status).json({ error: error.message });
                 }
+                console.error('Error changing pack source:', error);
+                return res.status(500).json({ error: 'Failed to change pack source' });
             }
 
-            // Final fallback: send error, NEVER post raw Telegram URLs
-            res.status(500).json({ error: 'Failed to convert sticker' });
+            // Indices of favorites and recent stickers pointed into the old set
+            this.clearPackState(packName);
+            this.telegram.invalidateStickerSet(oldSource);
+            this.userStickers.removePack(packName);
+            this.prewarmPack(packName).catch(err => console.error('Pre-warm failed:', err.message));
+
+            console.log(`Changed source of ${packName}: ${oldSource} -> ${telegramPackName} (by ${admin.username})`);
+            this.auditPack(admin, 'change_source', packName, { previousTelegramName: oldSource, telegramName: telegramPackName });
+            res.json({ success: true, title, stickerType, stickerCount: count });
         });
 
-        // Create picker session
-        this.app.post('/api/session', (req, res) => {
-            const { channelId, userId } = req.body;
-            const sessionId = Math.random().toString(36).substring(7);
+        // Set the display order of the pack list (admin action); packs not listed keep their relative order after these
+        this.app.post('/api/reorder-packs', async (req, res) => {
+            const { order } = req.body;
 
-            this.sessions.set(sessionId, {
-                channelId,
-                userId,
-                username: userId, // fallback, should be overridden by generatePickerLink
-                created: Date.now()
-            });
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+            if (!Array.isArray(order)) {
+                return res.status(400).json({ error: 'order must be an array of pack names' });
+            }
 
-            // Clean up old sessions
-            for (const [id, session] of this.sessions) {
-                if (Date.now() - session.created > 10 * 60 * 1000) { // 10 minutes
-                    this.sessions.delete(id);
+            try {
+                await this.packRepository.mutate((data) => {
+                    const packNames = [...DEFAULT_PACKS, ...data.customPacks.map(pack => pack.name)];
+                    const unknown = order.filter(name => !packNames.includes(name));
+                    if (unknown.length > 0) {
+                        throw httpError(400, `Unknown packs: ${unknown.join(', ')}`);
+                    }
+                    data.order = [...new Set(order)];
+                });
+            } catch (error) {
+                if (error.status) {
+                    return res.status(error.status).json({ error: error.message });
                 }
+                console.error('Error reordering packs:', error);
+                return res.status(500).json({ error: 'Failed to reorder packs' });
             }
 
-            res.json({ sessionId });
+            this.auditPack(admin, 'reorder', null, { order: [...new Set(order)] });
+            res.json({ success: true, order: this.getPackNames(true) });
         });
 
-        // Slash command handler - works EVERYWHERE including DMs!
-        this.app.post('/api/slash', (req, res) => {
-            console.log('[SLASH] Full body:', JSON.stringify(req.body));
-            const { user_id, user_name, channel_id, text, root_id, response_url } = req.body;
-            console.log(`[SLASH] from ${user_name} in ${channel_id}: "${text}" root_id: ${root_id || 'none'}`);
+        // Hide or show a default pack (admin action)
+        this.app.post('/api/hide-pack', async (req, res) => {
+            const { packName, hidden } = req.body;
 
-            const command = (text || '').trim().toLowerCase();
-
-            // Generate sticker picker link
-            const sessionId = Math.random().toString(36).substring(7);
-            this.sessions.set(sessionId, {
-                channelId: channel_id,
-                userId: user_id,
-                username: user_name,
-                rootId: root_id || null,
-                responseUrl: response_url || null,
-                created: Date.now()
-            });
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+            if (!DEFAULT_PACKS.includes(packName)) {
+                return res.status(400).json({ error: 'Only default packs can be hidden, delete custom packs instead' });
+            }
 
-            const domain = process.env.DOMAIN || 'http://localhost';
-            const pickerUrl = `${domain}:${this.port}/?session=${sessionId}`;
+            try {
+                await this.packRepository.mutate((data) => {
+                    data.hidden = data.hidden.filter(name => name !== packName);
+                    if (hidden) data.hidden.push(packName);
+                });
+            } catch (error) {
+                console.error('Error hiding pack:', error);
+                return res.status(500).json({ error: 'Failed to update pack' });
+            }
 
-            return res.json({
-                response_type: 'ephemeral',
-                text: `🎨 [**Open Sticker Picker**](${pickerUrl})`
-            });
+            console.log(`${hidden ? 'Hid' : 'Showed'} default pack: ${packName} (by ${admin.username})`);
+            this.auditPack(admin, hidden ? 'hide' : 'show', packName);
+            res.json({ success: true, hidden: !!hidden });
         });
 
-        // Verify token for delete mode
-        this.app.post('/api/verify-token', (req, res) => {
-            const { token } = req.body;
-            const validToken = process.env.MM_BOT_TOKEN;
+        // Limit where a pack can be used by team and channel ID; scope null makes it available everywhere (admin action)
+        this.app.post('/api/pack-scope', async (req, res) => {
+            const { packName } = req.body;
 
-            if (token === validToken) {
-                res.json({ valid: true });
-            } else {
-                res.status(401).json({ valid: false, error: 'Invalid token' });
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+            const { scope, error } = normalizeScope(req.body.scope);
+            if (error) {
+                return res.status(400).json({ error });
             }
+
+            try {
+                await this.packRepository.mutate((data) => {
+                    if (DEFAULT_PACKS.includes(packName)) {
+                        if (scope) data.defaultScopes[packName] = scope;
+                        else delete data.defaultScopes[packName];
+                        return;
+                    }
+                    const pack = data.customPacks.find(p => p.name === packName);
+                    if (!pack) {
+                        throw httpError(404, 'Pack not found');
+                    }
+                    pack.scope = scope;
+                });
+            } catch (error) {
+                if (error.status) {
+                    return res.status(error.status).json({ error: error.message });
+                }
+                console.error('Error setting pack scope:', error);
+                return res.status(500).json({ error: 'Failed to update pack' });
+            }
+
+            console.log(`${scope ? 'Scoped' : 'Unscoped'} pack: ${packName} (by ${admin.username})`);
+            this.auditPack(admin, 'scope', packName, { scope });
+            res.json({ success: true, scope });
         });
 
-        // Delete custom sticker pack endpoint
-        this.app.post('/api/delete-pack', async (req, res) => {
-            const { packName, token } = req.body;
+        // Download the pack catalog as a versioned bundle (admin action)
+        this.app.post('/api/export-packs', async (req, res) => {
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+
+            // Pending packs aren't part of the catalog until approved
+            const customPacks = this.getCustomPacks().filter(pack => pack.status !== 'pending');
+            res.json(createBundle(customPacks, this.getPackSettings()));
+        });
 
-            // Verify token
-            if (token !== process.env.MM_BOT_TOKEN) {
-                return res.status(401).json({ error: 'Invalid token' });
+        // Import a catalog bundle in merge or replace mode (admin action)
+        this.app.post('/api/import-packs', async (req, res) => {
+            const { bundle } = req.body;
+            const mode = req.body.mode || 'merge';
+
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+            if (mode !== 'merge' && mode !== 'replace') {
+                return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+            }
+            const invalid = validateBundle(bundle);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
             }
 
+            let previousPacks, report;
             try {
-                const fs = require('fs');
-                const path = require('path');
-                const customPacksFile = path.join(__dirname, '..', 'data', 'custom-packs.json');
-
-                let customPacks = [];
-                if (fs.existsSync(customPacksFile)) {
-                    const data = fs.readFileSync(customPacksFile, 'utf8');
-                    customPacks = JSON.parse(data);
-                }
+                ({ previousPacks, report } = await this.packRepository.mutate((data) => {
+                    const current = {
+                        customPacks: data.customPacks,
+                        settings: { order: data.order, hidden: data.hidden, defaultScopes: data.defaultScopes }
+                    };
+                    const result = applyBundle(bundle, current, mode, DEFAULT_PACKS);
+                    const packsBefore = data.customPacks;
+                    data.customPacks = result.customPacks;
+                    data.order = result.settings.order;
+                    data.hidden = result.settings.hidden;
+                    data.defaultScopes = result.settings.defaultScopes;
+                    return { previousPacks: packsBefore, report: result.report };
+                }));
+            } catch (error) {
+                console.error('Error importing pack bundle:', error);
+                return res.status(500).json({ error: 'Failed to import packs' });
+            }
 
-                // Find and remove the pack
-                const initialLength = customPacks.length;
-                customPacks = customPacks.filter(pack => pack.name !== packName);
+            // Removed and re-pointed packs lose their cached stickers and favorites
+            for (const packName of [...report.removed, ...report.replaced]) {
+                const previous = previousPacks.find(pack => pack.name.toLowerCase() === packName.toLowerCase());
+                this.clearPackState(previous.name);
+                this.telegram.invalidateStickerSet(previous.telegramName);
+                this.userStickers.removePack(previous.name);
+            }
+            for (const packName of [...report.added, ...report.replaced]) {
+                this.prewarmPack(packName).catch(err => console.error('Pre-warm failed:', err.message));
+            }
+
+            console.log(`Imported pack bundle (${mode}) by ${admin.username}: ${report.added.length} added, ${report.replaced.length} replaced, ${report.removed.length} removed, ${report.conflicts.length} conflicts`);
+            this.auditPack(admin, 'import', null, { mode, added: report.added, replaced: report.replaced, removed: report.removed });
+            res.json(report);
+        });
+
+        // Search the audit log by user, channel, type and time range, newest first (admin action)
+        this.app.post('/api/audit-log', async (req, res) => {
+            const { userId, channelId, type } = req.body;
+
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
 
-                if (customPacks.length === initialLength) {
-                    return res.status(404).json({ error: 'Pack not found or is a default pack' });
+            const filters = { userId, channelId, type };
+            for (const field of ['from', 'to']) {
+                if (req.body[field] === undefined || req.body[field] === null) continue;
+                const date = new Date(req.body[field]);
+                if (isNaN(date)) {
+                    return res.status(400).json({ error: `${field} must be a date, e.g. 2024-05-01T12:00:00Z` });
                 }
+                filters[field] = date;
+            }
+            if (type !== undefined && type !== 'send' && type !== 'pack') {
+                return res.status(400).json({ error: 'type must be "send" or "pack"' });
+            }
+            filters.limit = Math.min(AUDIT_QUERY_MAX, Math.max(1, parseInt(req.body.limit) || 100));
 
-                // Save updated list
-                fs.writeFileSync(customPacksFile, JSON.stringify(customPacks, null, 2));
+            try {
+                res.json(await this.auditLog.query(filters));
+            } catch (error) {
+                console.error('Error reading audit log:', error);
+                res.status(500).json({ error: 'Failed to read audit log' });
+            }
+        });
 
-                // Clear from cache
-                this.stickerCache.delete(packName);
+        // Approve or reject a pending pack from the picker (admin action)
+        this.app.post('/api/approve-pack', async (req, res) => {
+            const { packName, approve } = req.body;
 
-                console.log(`Deleted custom pack: ${packName}`);
-                res.json({ success: true });
+            const admin = await this.requirePackAdmin(req, res);
+            if (!admin) return;
+
+            const pending = this.getCustomPacks().find(pack => pack.name === packName && pack.status === 'pending');
+            if (!pending) {
+                return res.status(404).json({ error: 'No pending pack with that name' });
+            }
+
+            try {
+                await this.decidePack(pending.approval.id, !!approve, admin);
             } catch (error) {
-                console.error('Error deleting pack:', error);
-                res.status(500).json({ error: 'Failed to delete pack' });
+                if (error.status) {
+                    return res.status(error.status).json({ error: error.message });
+                }
+                console.error('Error deciding pack:', error);
+                return res.status(500).json({ error: 'Failed to update pack' });
             }
+            res.json({ success: true, approved: !!approve });
         });
 
-        // Get custom packs list (for delete mode)
-        this.app.get('/api/custom-packs', (req, res) => {
-            const customPacks = this.getCustomPacks();
-            res.json(customPacks.map(p => p.name));
+        // Approve/Reject buttons in the approvers' DMs (called by Mattermost)
+        this.app.post('/api/pack-approval', async (req, res) => {
+            const { user_id, post_id, context } = req.body || {};
+            const reply = (text) => res.json({ ephemeral_text: text });
+
+            if (!this.packApprovals.verify(context)) {
+                console.warn(`[APPROVAL] Rejected button click with a bad signature from ${req.ip}`);
+                return res.status(401).json({ ephemeral_text: '❌ Invalid request' });
+            }
+
+            // Only the approver the post was sent to can use its buttons
+            const pending = this.getCustomPacks().find(pack => pack.approval?.id === context.requestId);
+            if (!pending) {
+                return reply('This pack request was already handled.');
+            }
+            if (!this.packApprovals.isApprover(user_id)) {
+                console.warn(`[APPROVAL] ${user_id} is not an approver of ${pending.name}`);
+                return reply('❌ You are not an approver for sticker packs.');
+            }
+            // A click can arrive before its post was recorded; once recorded, only that post counts
+            const sentPost = pending.approval.posts[user_id];
+            if (sentPost && sentPost !== post_id) {
+                return reply('❌ This approval request was not sent to you.');
+            }
+
+            const approve = context.action === 'approve';
+            const approver = await this.bot.getUserInfo(user_id);
+            try {
+                await this.decidePack(context.requestId, approve, { userId: user_id, username: approver ? approver.username : user_id });
+            } catch (error) {
+                if (error.status) return reply(error.message);
+                console.error('Error deciding pack:', error);
+                return reply('❌ Failed to update the pack, try again.');
+            }
+            reply(approve ? `✅ ${pending.name} is now in the sticker picker.` : `❌ ${pending.name} was rejected.`);
         });
 
-        // Add custom sticker pack endpoint
+        // Add custom sticker pack endpoint; packs from users who aren't pack admins or approvers wait for approval
         this.app.post('/api/add-pack', async (req, res) => {
             try {
                 const { packName, packUrl } = req.body;
 
+                const session = this.sessions.get(req.body.sessionId);
+                if (!session || !session.verified) {
+                    return res.status(401).json({ error: 'Open the picker from Mattermost to add packs' });
+                }
+
                 if (!packName || !packUrl) {
                     return res.status(400).json({ error: 'Pack name and URL are required' });
                 }
+                const invalidName = validatePackName(packName);
+                if (invalidName) {
+                    return res.status(400).json({ error: invalidName });
+                }
 
-                // Extract pack name from URL (e.g., https://t.me/addstickers/PackName -> PackName)
-                const urlMatch = packUrl.match(/(?:t\.me\/addstickers\/|telegram\.me\/addstickers\/)([^\/\?\#]+)/i);
-                if (!urlMatch) {
-                    return res.status(400).json({ error: 'Invalid Telegram sticker pack URL. Expected format: https://t.me/addstickers/PackName' });
+                const telegramPackName = parsePackUrl(packUrl);
+                if (!telegramPackName) {
+                    return res.status(400).json({ error: INVALID_PACK_URL });
                 }
 
-                const telegramPackName = urlMatch[1];
+                // Make sure the set exists and has stickers before saving it
+                const check = await this.checkTelegramPack(telegramPackName);
+                if (check.error) {
+                    return res.status(check.status).json({ error: check.error });
+                }
+
+                const approved = this.packApprovals.isApprover(session.userId) || await this.isSessionPackAdmin(session);
+
+                // Add pack to custom packs storage; the duplicate check sees packs added during the Telegram round-trip
+                const { title, stickerType, count } = this.telegram.describeStickerSet(check.stickerSet);
+                const pack = await this.packRepository.mutate((data) => {
+                    const duplicate = this.findDuplicatePack(packName, telegramPackName, null, data.customPacks);
+                    if (duplicate) {
+                        throw httpError(409, `Pack already exists as "${duplicate}"`);
+                    }
+                    const entry = {
+                        name: packName,
+                        telegramName: telegramPackName,
+                        title,
+                        stickerType,
+                        stickerCount: count,
+                        added: new Date().toISOString()
+                    };
+                    if (!approved) {
+                        entry.status = 'pending';
+                        entry.approval = {
+                            id: crypto.randomBytes(12).toString('base64url'),
+                            requestedBy: { userId: session.userId, username: session.username },
+                            posts: {}
+                        };
+                    }
+                    data.customPacks.push(entry);
+                    return entry;
+                });
+
+                if (!approved) {
+                    console.log(`Pack waiting for approval: ${packName} (${telegramPackName}) from ${session.username}`);
+                    this.auditPack(session, 'request', packName, { telegramName: telegramPackName });
+                    this.requestPackApproval(pack).catch(err => console.error('[APPROVAL] Failed to notify approvers:', err.message));
+                    return res.json({ message: 'Pack submitted for approval', pending: true, title, stickerType, stickerCount: count });
+                }
+                console.log(`Added custom pack: ${packName} (${telegramPackName}) by ${session.username}`);
+                this.auditPack(session, 'add', packName, { telegramName: telegramPackName });
 
-                // Add pack to custom packs storage
-                await this.addCustomPack(packName, telegramPackName);
+                // Convert the new pack's stickers in the background
+                this.prewarmPack(packName).catch(err => console.error('Pre-warm failed:', err.message));
 
-                res.json({ message: 'Pack added successfully' });
+                res.json({ message: 'Pack added successfully', pending: false, title, stickerType, stickerCount: count });
             } catch (error) {
+                if (error.status) {
+                    return res.status(error.status).json({ error: error.message });
+                }
                 console.error('Error adding custom pack:', error);
                 res.status(500).json({ error: 'Failed to add pack: ' + error.message });
             }
         });
     }
 
-    async addCustomPack(packName, telegramPackName) {
-        const fs = require('fs');
-        const path = require('path');
+    // All pack names shown in the picker, in display order. Without an explicit order defaults come
+    // first, then custom packs; packs missing from the order go after the ordered ones.
+    // Hidden and pending (not yet approved) packs are only included with includeHidden.
+    getPackNames(includeHidden = false) {
+        const settings = this.getPackSettings();
+        const customPacks = this.getCustomPacks()
+            .filter(pack => includeHidden || pack.status !== 'pending')
+            .map(pack => pack.name);
+        const position = name => {
+            const index = settings.order.indexOf(name);
+            return index === -1 ? settings.order.length : index;
+        };
+
+        // sort() is stable, so unordered packs keep their defaults-then-custom order
+        const packNames = [...DEFAULT_PACKS, ...customPacks].sort((a, b) => position(a) - position(b));
+        return includeHidden ? packNames : packNames.filter(name => !settings.hidden.includes(name));
+    }
+
+    // Team/channel scope of a pack, or null if it is available everywhere
+    getPackScope(packName) {
+        if (DEFAULT_PACKS.includes(packName)) {
+            return this.getPackSettings().defaultScopes[packName] || null;
+        }
+        const customPack = this.getCustomPacks().find(pack => pack.name === packName);
+        return customPack?.scope || null;
+    }
 
-        const customPacksFile = path.join(__dirname, '..', 'data', 'custom-packs.json');
+    // Visible packs the session's channel may use. Team and channel IDs are only trusted from sessions
+    // opened in Mattermost, so requests without one only get packs without a scope.
+    getAvailablePackNames(session) {
+        return this.getPackNames().filter((name) => {
+            const scope = this.getPackScope(name);
+            if (!scope) return true;
+            return !!session?.verified && isAvailable(scope, session.teamId, session.channelId);
+        });
+    }
 
-        let customPacks = [];
+    // Make sure a Telegram set exists and has stickers: { stickerSet } or { status, error }
+    async checkTelegramPack(telegramPackName) {
+        let stickerSet;
         try {
-            if (fs.existsSync(customPacksFile)) {
-                const data = fs.readFileSync(customPacksFile, 'utf8');
-                customPacks = JSON.parse(data);
-            }
+            stickerSet = await this.telegram.validateStickerSet(telegramPackName);
         } catch (error) {
-            console.error('Error reading custom packs:', error);
+            return { status: 502, error: 'Could not reach Telegram to check the pack, try again later' };
+        }
+        if (!stickerSet) {
+            return { status: 404, error: `Sticker pack "${telegramPackName}" does not exist on Telegram` };
+        }
+        if (!stickerSet.stickers || stickerSet.stickers.length === 0) {
+            return { status: 400, error: `Sticker pack "${telegramPackName}" has no stickers` };
+        }
+        return { stickerSet };
+    }
+
+    // Forget the picker's cached stickers, emoji index and pre-warm status of a pack
+    clearPackState(packName) {
+        this.stickerCache.delete(packName);
+        this.packVersions.delete(packName);
+        this.emojiIndex.delete(packName);
+        this.prewarmer.forget(packName);
+    }
+
+    // Pack list entry; packs Telegram can't load are still listed, with what was stored when they were added
+    async getPackInfo(packName) {
+        const isDefault = DEFAULT_PACKS.includes(packName);
+        const hidden = this.getPackSettings().hidden.includes(packName);
+        const customPack = this.getCustomPacks().find(pack => pack.name === packName) || {};
+        const pending = customPack.status === 'pending';
+        const stickerSet = await this.telegram.getStickerSet(this.getTelegramPackName(packName));
+        if (!stickerSet) {
+            return {
+                name: packName,
+                title: customPack.title || packName,
+                count: customPack.stickerCount ?? null,
+                stickerType: customPack.stickerType || null,
+                thumbnail: null,
+                isDefault,
+                hidden,
+                pending
+            };
+        }
+        return { name: packName, ...this.telegram.describeStickerSet(stickerSet), isDefault, hidden, pending };
+    }
+
+    // Load a pack's stickers into stickerCache (and the emoji index) unless already there.
+    // The entry is rebuilt when the Telegram set was refetched since it was built.
+    async loadPackStickers(packName) {
+        // Check if it's a custom pack and get the telegram name
+        const telegramPackName = this.getTelegramPackName(packName);
+
+        const fetchedAt = this.telegram.getSetFetchedAt(telegramPackName);
+        if (this.stickerCache.has(packName) && this.packVersions.get(packName) === fetchedAt) {
+            if (this.telegram.isSetStale(telegramPackName)) {
+                // Serve the stale list now, the next load picks up the refreshed set
+                this.telegram.refreshStickerSet(telegramPackName).catch(() => {});
+            }
+            return this.stickerCache.get(packName);
+        }
+
+        const stickers = await this.telegram.getStickerList(telegramPackName);
+
+        // Cache the result
+        if (stickers.length > 0) {
+            this.stickerCache.set(packName, stickers);
+            this.packVersions.set(packName, this.telegram.getSetFetchedAt(telegramPackName));
+
+            const index = new Map();
+            stickers.forEach((sticker, i) => {
+                const emoji = normalizeEmoji(sticker.emoji || '');
+                if (!emoji) return;
+                if (!index.has(emoji)) index.set(emoji, []);
+                index.get(emoji).push(i);
+            });
+            this.emojiIndex.set(packName, index);
+        }
+
+        return stickers;
+    }
+
+    // Refetch the Telegram set and rebuild the picker cache for a pack (old data is kept if Telegram fails)
+    async refreshPack(packName) {
+        const stickerSet = await this.telegram.refreshStickerSet(this.getTelegramPackName(packName));
+        if (!stickerSet) return null;
+
+        this.stickerCache.delete(packName);
+        this.packVersions.delete(packName);
+        this.emojiIndex.delete(packName);
+
+        const stickers = await this.loadPackStickers(packName);
+        if (stickers.length === 0) return null;
+
+        console.log(`Refreshed pack ${packName}: ${stickers.length} stickers`);
+        return stickers;
+    }
+
+    // Start (or join) the background conversion of a pack, returns its job status or null
+    async prewarmPack(packName) {
+        const stickers = await this.loadPackStickers(packName);
+        if (stickers.length === 0) return null;
+        return this.prewarmer.start(packName, stickers);
+    }
+
+    // Convert one sticker for pre-warming; the file URL is only resolved when there's no cached conversion
+    async prewarmSticker(sticker, options) {
+        const [converted] = await this.getConvertedFlags([sticker]);
+        if (converted) return { cached: true };
+
+        const url = await this.telegram.getFileUrl(sticker.fileId);
+        if (!url) return null;
+        return this.convertSticker(url, sticker.fileId, options);
+    }
+
+    // Whether each sticker already has a cached conversion in the default format and size
+    async getConvertedFlags(stickers) {
+        const fs = require('fs').promises;
+        return Promise.all(stickers.map(async (sticker) => {
+            const handler = sticker.isVideo ? this.webmHandler : sticker.isAnimated ? this.tgsHandler : this.staticHandler;
+            if (!handler) return false;
+            try {
+                await fs.access(handler.getCachePath(null, sticker.fileId));
+                return true;
+            } catch (err) {
+                return false;
+            }
+        }));
+    }
+
+    // Turn stored favorite/recent entries into displayable stickers (same shape as search results),
+    // skipping packs that aren't available in the session's channel
+    async resolveUserStickers(entries, session) {
+        const packNames = this.getAvailablePackNames(session);
+        const results = [];
+        for (const entry of entries) {
+            if (!packNames.includes(entry.packName)) continue;
+
+            // Prefer the file_id so entries survive pack reordering on Telegram
+            const stickers = await this.loadPackStickers(entry.packName);
+            let index = entry.fileId ? stickers.findIndex(s => s.fileId === entry.fileId) : -1;
+            if (index === -1) index = entry.stickerIndex;
+
+            const sticker = stickers[index];
+            if (sticker) {
+                results.push({ ...toPublicSticker(sticker), packName: entry.packName, index });
+            }
+        }
+        return results;
+    }
+
+    // Map a picker pack name to its Telegram set name (custom packs may differ)
+    getTelegramPackName(packName) {
+        const customPack = this.getCustomPacks().find(pack => pack.name === packName);
+        return customPack ? customPack.telegramName : packName;
+    }
+
+    // Convert a sticker to something Mattermost can display, returns { filePath, ext, animated } or null
+    // options.format / options.size override the deployment's animated format and size preset
+    async convertSticker(stickerUrl, fileId, options = {}) {
+        // Convert animated stickers (WEBM/TGS), use file_id for stable cache keys
+        if (stickerUrl.includes('.webm') && this.webmHandler) {
+            try {
+                const outPath = await this.webmHandler.convertWebmToGif(stickerUrl, fileId, options);
+                if (outPath) return { filePath: outPath, ext: path.extname(outPath).slice(1), animated: true };
+            } catch (err) {
+                console.error('WEBM conversion failed:', err.message);
+            }
+        } else if (stickerUrl.includes('.tgs') && this.tgsHandler) {
+            try {
+                const outPath = await this.tgsHandler.convertTgsToGif(stickerUrl, fileId, options);
+                if (outPath) return { filePath: outPath, ext: path.extname(outPath).slice(1), animated: true };
+            } catch (err) {
+                console.error('TGS conversion failed:', err.message);
+            }
+        }
+
+        // Static images: resize
+        if (this.staticHandler && !stickerUrl.includes('.tgs')) {
+            try {
+                const resizedPath = await this.staticHandler.resizeStaticImage(stickerUrl, fileId, options);
+                return { filePath: resizedPath, ext: 'webp', animated: false };
+            } catch (err) {
+                console.error('Static resize failed:', err.message);
+            }
         }
 
-        // Check if pack already exists
-        const existingPack = customPacks.find(pack =>
-            pack.name.toLowerCase() === packName.toLowerCase() ||
-            pack.telegramName === telegramPackName
-        );
+        return null;
+    }
 
-        if (existingPack) {
-            throw new Error('Pack already exists');
+    // Post an uploaded file to Mattermost (via response_url or direct).
+    // Resolves with { expired, postId }; response_url doesn't return the post, so postId is null there.
+    async postStickerFile(session, fileInfo) {
+        const fileUrl = `${this.bot.serverUrl}/api/v4/files/${fileInfo.id}`;
+        // Markdown images can't play video, so MP4 goes out as a plain link
+        const isVideo = (fileInfo.mime_type || '').startsWith('video/');
+        if (session.responseUrl) {
+            if (session.responseUrlDead) {
+                // response_url already known dead, don't waste time
+                return { expired: true };
+            }
+            try {
+                const axios = require('axios');
+                await axios.post(session.responseUrl, {
+                    response_type: 'in_channel',
+                    text: isVideo ? fileUrl : `![sticker](${fileUrl})`
+                });
+            } catch (err) {
+                session.responseUrlDead = true;
+                return { expired: true };
+            }
+        } else {
+            const post = await sendFileAsPost(this.bot.serverUrl, this.bot.botToken, session.channelId, fileInfo, '', session.rootId);
+            return { expired: false, postId: post.id };
+        }
+        return { expired: false, postId: null };
+    }
+
+    // Resolve, convert, upload and post a sticker for a session.
+    // Sends through response_url have no post ID; the audit entry's mattermostFileId identifies them.
+    // Returns { status: 'sent' | 'not_found' | 'expired' | 'failed' | 'post_failed', fileId }
+    async deliverSticker(session, packName, stickerIndex, options = {}) {
+        // Get fresh sticker info (URL + file_id for stable caching)
+        const telegramPackName = this.getTelegramPackName(packName);
+        const stickerInfo = await this.telegram.getStickerInfo(telegramPackName, stickerIndex);
+        if (!stickerInfo) {
+            return { status: 'not_found' };
+        }
+        const { url: stickerUrl, fileId } = stickerInfo;
+
+        const converted = await this.convertSticker(stickerUrl, fileId, options);
+        if (!converted) {
+            return { status: 'failed' };
+        }
+
+        let mattermostFileId, postId;
+        try {
+            const fileInfo = await uploadFile(this.bot.serverUrl, this.bot.botToken, session.channelId, converted.filePath, `sticker_${packName}_${stickerIndex}.${converted.ext}`);
+            const result = await this.postStickerFile(session, fileInfo);
+            if (result.expired) {
+                return { status: 'expired' };
+            }
+            mattermostFileId = fileInfo.id;
+            postId = result.postId;
+        } catch (err) {
+            console.error('Failed to post sticker:', err.message);
+            return { status: 'post_failed' };
         }
 
-        // Add new pack
-        customPacks.push({
-            name: packName,
+        console.log(`Sent ${converted.animated ? `animated ${converted.ext.toUpperCase()}` : 'resized static'}: ${packName}_${stickerIndex}`);
+        this.auditLog.record('send', {
+            userId: session.userId,
+            username: session.username,
+            channelId: session.channelId,
+            teamId: session.teamId || null,
+            rootId: session.rootId || null,
+            packName,
             telegramName: telegramPackName,
-            added: new Date().toISOString()
+            stickerIndex,
+            fileId,
+            mattermostFileId,
+            postId
+        });
+        return { status: 'sent', fileId };
+    }
+
+    // Ephemeral slash response with a picker link for the user and channel of a slash request
+    async slashPickerResponse(body, note = '') {
+        const { user_id, user_name, channel_id, root_id, response_url } = body;
+        const sessionId = this.sessions.create({
+            channelId: channel_id,
+            teamId: await this.channelTeams.teamOf(channel_id),
+            userId: user_id,
+            username: user_name,
+            rootId: root_id || null,
+            responseUrl: response_url || null,
+            verified: true // user_id comes from a slash request with a valid token
         });
 
-        // Save to file
-        fs.writeFileSync(customPacksFile, JSON.stringify(customPacks, null, 2));
+        const domain = process.env.DOMAIN || 'http://localhost';
+        const pickerUrl = `${domain}:${this.port}/?session=${encodeURIComponent(sessionId)}`;
 
-        console.log(`Added custom pack: ${packName} (${telegramPackName})`);
+        return {
+            response_type: 'ephemeral',
+            text: `${note}🎨 [**Open Sticker Picker**](${pickerUrl})`
+        };
     }
 
-    getCustomPacks() {
-        const fs = require('fs');
-        const path = require('path');
+    // Handle "/sticker <pack> <index|emoji>": resolve the sticker and post it without the picker
+    async handleSlashSticker(body, args, res) {
+        const { user_id, user_name, channel_id, root_id, response_url } = body;
+        const reply = (text) => res.json({ response_type: 'ephemeral', text });
+
+        const session = {
+            channelId: channel_id,
+            teamId: await this.channelTeams.teamOf(channel_id),
+            userId: user_id,
+            username: user_name,
+            rootId: root_id || null,
+            responseUrl: response_url || null,
+            verified: true, // from a slash request with a valid token
+            created: Date.now()
+        };
+        const packNames = this.getAvailablePackNames(session);
+        const match = matchPackPrefix(args, packNames);
+        if (!match) {
+            // The last word is taken as the selector, the words before it as the pack
+            const packArg = args.length > 1 ? args.slice(0, -1).join(' ') : args[0];
+            const selector = args.length > 1 ? args[args.length - 1] : null;
+            const close = findCloseMatches(packArg, packNames);
+            if (close.length > 0) {
+                return reply(`❓ Unknown pack \`${packArg}\`. Did you mean: ${close.map(n => `\`${n}\``).join(', ')}`);
+            }
+            // A lone word that isn't near any pack is most likely not meant as a pack: open the picker
+            if (!selector) {
+                return res.json(await this.slashPickerResponse(body, `No pack called \`${packArg}\`, pick a sticker here (\`/sticker help\` shows all commands): `));
+            }
+            return reply(`❓ Unknown pack \`${packArg}\`. Available packs: ${packNames.map(n => `\`${n}\``).join(', ')}\n\n${SLASH_USAGE}`);
+        }
 
-        const customPacksFile = path.join(__dirname, '..', 'data', 'custom-packs.json');
+        const { packName } = match;
+        const selector = match.rest[0];
+        if (!selector) {
+            return reply(`Usage: \`/sticker ${packName} <number>\` or \`/sticker ${packName} <emoji>\``);
+        }
 
-        try {
-            if (fs.existsSync(customPacksFile)) {
-                const data = fs.readFileSync(customPacksFile, 'utf8');
-                return JSON.parse(data);
+        const stickerSet = await this.telegram.getStickerSet(this.getTelegramPackName(packName));
+        if (!stickerSet || !stickerSet.stickers || stickerSet.stickers.length === 0) {
+            return reply(`❌ Could not load pack \`${packName}\``);
+        }
+        const stickers = stickerSet.stickers;
+
+        let stickerIndex;
+        if (/^\d+$/.test(selector)) {
+            // Numbers are 1-based for humans
+            const number = parseInt(selector, 10);
+            if (number < 1 || number > stickers.length) {
+                return reply(`❓ \`${packName}\` has stickers 1-${stickers.length}`);
+            }
+            stickerIndex = number - 1;
+        } else {
+            const matches = [];
+            stickers.forEach((sticker, i) => {
+                if (normalizeEmoji(sticker.emoji || '') === normalizeEmoji(selector)) matches.push(i);
+            });
+
+            if (matches.length === 0) {
+                // Mattermost's emoji autocomplete inserts shortcodes, Telegram tags stickers with the emoji itself
+                const shortcodeHint = /^:[\w+-]+:$/.test(selector) ? ' Shortcodes like `:joy:` don\'t match, type the emoji itself.' : '';
+                const emojis = [...new Set(stickers.map(s => s.emoji).filter(e => e))].slice(0, 30);
+                return reply(`❓ No sticker in \`${packName}\` matches ${selector}.${shortcodeHint} Try one of: ${emojis.join(' ')}`);
+            }
+            if (matches.length > 1) {
+                const options = matches.slice(0, 10).map(i => `\`/sticker ${packName} ${i + 1}\``);
+                return reply(`${matches.length} stickers in \`${packName}\` match ${selector}: ${options.join(', ')}`);
+            }
+            stickerIndex = matches[0];
+        }
+
+        const limit = this.sendLimiter.take(user_id, channel_id);
+        if (!limit.allowed) {
+            console.warn(`[LIMIT] ${limit.scope} limit hit by ${user_name} in ${channel_id}`);
+            return reply(`⏱️ ${limit.message}`);
+        }
+
+        // Answer now (Mattermost gives slash commands 3 seconds), convert and post in the background
+        reply('⏳ Sending sticker...');
+
+        const result = await this.deliverSticker(session, packName, stickerIndex);
+        console.log(`[SLASH] Direct send ${packName}_${stickerIndex} for ${user_name}: ${result.status}`);
+
+        if (result.status !== 'sent') {
+            const message = '❌ Failed to send sticker';
+            try {
+                const axios = require('axios');
+                await axios.post(response_url, { response_type: 'ephemeral', text: message });
+            } catch (err) {
+                await this.bot.sendEphemeralPost(user_id, channel_id, message);
             }
+        }
+    }
+
+    // "/sticker limit" shows the channel's send limit, "/sticker limit <n|off>" sets it (channel admins)
+    async handleSlashLimit(body, args, res) {
+        const { user_id, user_name, channel_id } = body;
+        const reply = (text) => res.json({ response_type: 'ephemeral', text });
+        const current = this.sendLimiter.getChannelLimit(channel_id);
+        const describe = (perMinute) => perMinute > 0 ? `${perMinute} sticker${perMinute === 1 ? '' : 's'} per minute` : 'no limit';
+
+        if (args.length === 0) {
+            const override = this.sendLimiter.getChannelOverride(channel_id);
+            return reply(`This channel allows ${describe(current)}${override ? ' (set for this channel)' : ''}. Channel admins can change it with \`/sticker limit <number>\` or \`/sticker limit off\`.`);
+        }
+
+        if (!(await this.packAdmins.isChannelAdmin(channel_id, user_id))) {
+            return reply('❌ Only channel admins can change the send limit');
+        }
+
+        const value = args[0].toLowerCase();
+        try {
+            this.sendLimiter.setChannelLimit(channel_id, value === 'off' ? null : Number(value));
         } catch (error) {
-            console.error('Error reading custom packs:', error);
+            return reply(`❌ ${error.message}`);
+        }
+
+        const updated = this.sendLimiter.getChannelLimit(channel_id);
+        console.log(`[LIMIT] ${user_name} set the limit of ${channel_id} to ${describe(updated)}`);
+        return reply(`✅ This channel now allows ${describe(updated)}`);
+    }
+
+    // Check the slash command token sent by Mattermost (body field or "Authorization: Token xxx")
+    verifySlashToken(req) {
+        const authHeader = req.get('authorization') || '';
+        const headerToken = authHeader.replace(/^Token\s+/i, '');
+        const token = (req.body && req.body.token) || headerToken;
+        if (!token) return false;
+
+        const given = Buffer.from(String(token));
+        return this.slashTokens.some(valid => {
+            const expected = Buffer.from(valid);
+            return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+        });
+    }
+
+    // Session of the user behind an admin request (sessionId in the body), or null after a 401/403 response.
+    // Only sessions opened from Mattermost (marked verified) count.
+    async requirePackAdmin(req, res) {
+        const session = this.sessions.get(req.body.sessionId);
+        if (!session || !session.verified) {
+            res.status(401).json({ error: 'Open the picker from Mattermost to manage packs' });
+            return null;
+        }
+        if (!(await this.isSessionPackAdmin(session))) {
+            console.warn(`[ADMIN] Denied pack admin request from ${session.username} (${session.userId}): ${req.path}`);
+            res.status(403).json({ error: 'Only pack admins can manage sticker packs' });
+            return null;
+        }
+        return session;
+    }
+
+    // Audit entry for a pack change; actor is the admin's session or { userId, username }
+    auditPack(actor, action, packName, details = {}) {
+        this.auditLog.record('pack', {
+            action,
+            userId: actor.userId,
+            username: actor.username,
+            channelId: actor.channelId || null,
+            packName,
+            ...details
+        });
+    }
+
+    // DM the approvers about a pending pack and remember each post as it is sent, so the buttons can be checked and updated
+    async requestPackApproval(pack) {
+        await this.packApprovals.requestApproval(pack, async (approverId, postId) => {
+            const stillPending = await this.packRepository.mutate((data) => {
+                const stored = data.customPacks.find(p => p.approval?.id === pack.approval.id);
+                if (stored) stored.approval.posts[approverId] = postId;
+                return !!stored;
+            });
+            // Another approver decided while the DMs were going out
+            if (!stillPending) {
+                await this.packApprovals.closeRequest(postId, pack);
+            }
+        });
+    }
+
+    // Approve (make visible) or reject (remove) a pending pack, then tell the requester and approvers
+    async decidePack(requestId, approve, actor) {
+        const decidedBy = actor.username;
+        const pack = await this.packRepository.mutate((data) => {
+            const pending = data.customPacks.find(p => p.approval?.id === requestId);
+            if (!pending) {
+                throw httpError(409, 'This pack request was already handled.');
+            }
+            const request = structuredClone(pending);
+            if (approve) {
+                delete pending.status;
+                delete pending.approval;
+                pending.approvedBy = decidedBy;
+            } else {
+                data.customPacks = data.customPacks.filter(p => p !== pending);
+                data.order = data.order.filter(name => name !== pending.name);
+            }
+            return request;
+        });
+        console.log(`[APPROVAL] ${approve ? 'Approved' : 'Rejected'} pack ${pack.name} (by ${decidedBy})`);
+        this.auditPack(actor, approve ? 'approve' : 'reject', pack.name, {
+            telegramName: pack.telegramName,
+            requestedBy: pack.approval.requestedBy.userId
+        });
+
+        if (approve) {
+            this.prewarmPack(pack.name).catch(err => console.error('Pre-warm failed:', err.message));
         }
+        this.packApprovals.announceDecision(pack, approve, decidedBy)
+            .catch(err => console.error('[APPROVAL] Failed to announce decision:', err.message));
+        return pack;
+    }
+
+    async isSessionPackAdmin(session) {
+        return !!session?.verified && await this.packAdmins.isAdmin(session.userId);
+    }
 
-        return [];
+    // Name of an existing pack that clashes with a new one (same name or same Telegram set), or null.
+    // ignoreName skips the pack being edited; customPacks lets a mutation check against its draft.
+    findDuplicatePack(packName, telegramPackName, ignoreName = null, customPacks = this.getCustomPacks()) {
+        // Telegram set names are case-insensitive
+        const name = packName.toLowerCase();
+        const setName = telegramPackName.toLowerCase();
+
+        const defaultPack = DEFAULT_PACKS.find(pack => pack.toLowerCase() === name || pack.toLowerCase() === setName);
+        if (defaultPack) return defaultPack;
+
+        const customPack = customPacks.find(pack => pack.name !== ignoreName && (
+            pack.name.toLowerCase() === name ||
+            pack.telegramName.toLowerCase() === setName
+        ));
+        return customPack ? customPack.name : null;
+    }
+
+    // Stored packs are changed only through this.packRepository.mutate()
+    getCustomPacks() {
+        return this.packRepository.getCustomPacks();
+    }
+
+    // Display order and hidden default packs
+    getPackSettings() {
+        return this.packRepository.getSettings();
     }
 
     start() {
@@ -409,19 +1555,18 @@ class WebPicker {
 
     async generatePickerLink(channelId, userId, username, rootId = null) {
         // Create a session
-        const sessionId = Math.random().toString(36).substring(7);
-
-        this.sessions.set(sessionId, {
+        const sessionId = this.sessions.create({
             channelId,
+            teamId: await this.channelTeams.teamOf(channelId),
             userId,
             username: username || userId, // fallback to userId if username not provided
             rootId: rootId || null,
-            created: Date.now()
+            verified: true // user_id comes from a Mattermost post event
         });
 
         console.log(`Generated picker link for user: ${username || userId} (${userId}) rootId: ${rootId || 'none'}`);
         const domain = process.env.DOMAIN || 'http://localhost';
-        return `${domain}:${this.port}/?session=${sessionId}`;
+        return `${domain}:${this.port}/?session=${encodeURIComponent(sessionId)}`;
     }
 }
 